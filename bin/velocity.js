@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * VelocityJS CLI
+ * Usage: velocity build [--app app.js] [--out dist] [--site-url https://example.com] [--template index.html]
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { VelocityStaticGenerator } from '../src/core/ssg.js';
+
+const HELP = `Usage: velocity <command> [options]
+
+Commands:
+  build                 Pre-render all routes to static HTML
+
+Options:
+  --app <file>          Module exporting the app (default: app.js)
+  --out <dir>           Output directory (default: dist)
+  --site-url <url>      Absolute site URL used in sitemap.xml and robots.txt
+  --template <file>     HTML template with {{head}}, {{content}} and {{state}} placeholders
+  --no-sitemap          Do not write sitemap.xml
+  --no-robots           Do not write robots.txt
+  -h, --help            Show this help
+`;
+
+function parseArgs(argv) {
+    const args = { command: null, app: 'app.js', out: 'dist', sitemap: true, robots: true };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--app':
+                args.app = argv[++i];
+                break;
+            case '--out':
+                args.out = argv[++i];
+                break;
+            case '--site-url':
+                args.siteUrl = argv[++i];
+                break;
+            case '--template':
+                args.template = argv[++i];
+                break;
+            case '--no-sitemap':
+                args.sitemap = false;
+                break;
+            case '--no-robots':
+                args.robots = false;
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.command = args.command || arg;
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Load the app module; it may export the app, a named `app`, or a (async) factory
+ */
+async function loadApp(file) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    let app = module.default ?? module.app;
+
+    if (typeof app === 'function' && !app.router) {
+        app = await app();
+    }
+
+    if (!app || !app.router || !app.renderToString) {
+        throw new Error(`${file} must export a VelocityJS app (default export, named "app", or a factory)`);
+    }
+
+    return app;
+}
+
+async function build(args) {
+    const app = await loadApp(args.app);
+    const template = args.template ? await readFile(args.template, 'utf8') : null;
+
+    const generator = new VelocityStaticGenerator(app, {
+        outDir: args.out,
+        siteUrl: args.siteUrl,
+        template,
+        sitemap: args.sitemap,
+        robots: args.robots
+    });
+
+    const report = await generator.build();
+
+    console.log(`Generated ${report.pages.length} page(s) in ${args.out}`);
+    report.skipped.forEach(({ path: skipped, reason }) => console.warn(`  skipped ${skipped}: ${reason}`));
+    report.errors.forEach(({ path: failed, status, error }) => console.error(`  failed ${failed}: ${error || `HTTP ${status}`}`));
+
+    return report.errors.length === 0 ? 0 : 1;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help || !args.command) {
+        console.log(HELP);
+        return args.help ? 0 : 1;
+    }
+
+    switch (args.command) {
+        case 'build':
+            return build(args);
+        default:
+            console.error(`Unknown command: ${args.command}\n`);
+            console.log(HELP);
+            return 1;
+    }
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
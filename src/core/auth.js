@@ -0,0 +1,245 @@
+/**
+ * VelocityAuth - Access/refresh token handling for VelocityNetwork
+ * Attaches the access token, refreshes it once on 401 while other requests wait, and replays the failed requests
+ */
+
+import { isBrowser, isAbsoluteUrl } from './utils.js';
+
+// Refresh shortly before the access token expires
+const EXPIRY_MARGIN = 10000;
+
+/**
+ * Origin of `url` with ws:/wss: mapped to http:/https:, or null if it cannot be resolved
+ */
+function httpOrigin(url, base) {
+    try {
+        const resolved = new URL(url, base);
+        resolved.protocol = resolved.protocol.replace(/^ws(s?):$/, 'http$1:');
+        return resolved.origin === 'null' ? null : resolved.origin;
+    } catch {
+        return null;
+    }
+}
+
+export class VelocityAuth {
+    constructor(network, storage, logger, options = {}) {
+        this.network = network;
+        this.storage = storage;
+        this.logger = logger;
+        this.options = {
+            storage: 'local',
+            storageKey: 'velocity-auth',
+            // URL patterns (strings or RegExps) that receive the token; default: same origin and baseURL
+            patterns: null,
+            refresh: null,
+            ...options
+        };
+
+        this.tokens = null;
+        this.refreshing = null;
+        this.logoutHooks = [];
+        if (typeof this.options.onLogout === 'function') {
+            this.logoutHooks.push(this.options.onLogout);
+        }
+
+        this.tokens = this.load();
+        this.install();
+    }
+
+    /**
+     * Request interceptor attaches the token; the 401 handler runs before other response interceptors
+     */
+    install() {
+        this.network.addRequestInterceptor(config => this.authorize(config));
+        this.network.interceptors.response.unshift({
+            onSuccess: null,
+            onError: (response, config) => this.handleUnauthorized(response, config)
+        });
+    }
+
+    get accessToken() {
+        return this.tokens?.accessToken || null;
+    }
+
+    get isAuthenticated() {
+        return Boolean(this.accessToken);
+    }
+
+    /**
+     * Store a token pair: { accessToken, refreshToken, expiresIn (seconds) | expiresAt (ms) }
+     */
+    setTokens(tokens) {
+        const { accessToken, refreshToken = this.tokens?.refreshToken || null, expiresIn, expiresAt } = tokens;
+
+        this.tokens = {
+            accessToken,
+            refreshToken,
+            expiresAt: expiresAt ?? (expiresIn ? Date.now() + expiresIn * 1000 : null)
+        };
+        this.save();
+    }
+
+    /**
+     * Persisted token pair, or null
+     */
+    load() {
+        const { storage, storageKey } = this.options;
+        if (!isBrowser) return null;
+
+        return storage === 'session'
+            ? this.storage.getSession(storageKey)
+            : this.storage.getLocal(storageKey);
+    }
+
+    save() {
+        const { storage, storageKey } = this.options;
+        if (!isBrowser) return;
+
+        if (storage === 'session') {
+            this.storage.setSession(storageKey, this.tokens);
+        } else {
+            this.storage.setLocal(storageKey, this.tokens);
+        }
+    }
+
+    matches(url) {
+        if (this.options.patterns) {
+            return this.options.patterns.some(pattern =>
+                pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern));
+        }
+
+        // Compare origins, so a token never reaches another host (or its ws:/wss: sockets)
+        const { baseURL } = this.network.config;
+        const base = isBrowser ? window.location.href : (isAbsoluteUrl(baseURL) ? baseURL : undefined);
+        const target = httpOrigin(url, base);
+        if (!target) {
+            // Relative URL without a location to resolve it against: the app's own server
+            return !isAbsoluteUrl(url);
+        }
+
+        const trusted = [isBrowser ? window.location.origin : null, baseURL ? httpOrigin(baseURL, base) : null];
+        return trusted.includes(target);
+    }
+
+    isExpired() {
+        const expiresAt = this.tokens?.expiresAt;
+        return Boolean(expiresAt) && Date.now() > expiresAt - EXPIRY_MARGIN;
+    }
+
+    async authorize(config) {
+        if (config.skipAuth || !this.matches(config.url)) {
+            return config;
+        }
+
+        // Wait for a refresh in progress, or start one when the token is known to be expired
+        if (this.refreshing) {
+            await this.refreshing;
+        } else if (this.isExpired() && this.tokens?.refreshToken) {
+            await this.refresh();
+        }
+
+        if (this.accessToken) {
+            config.headers = { ...config.headers, Authorization: `Bearer ${this.accessToken}` };
+        }
+        return config;
+    }
+
+    /**
+     * On 401: refresh once (shared by all failing requests) and replay the request with the new token
+     */
+    async handleUnauthorized(response, config) {
+        if (response.status !== 401 || config.skipAuth || config.authReplayed || !this.tokens?.refreshToken ||
+            !this.matches(config.url)) {
+            return response;
+        }
+
+        const usedToken = String(config.headers?.Authorization || '').replace(/^Bearer /, '');
+        const refreshed = await this.refresh(usedToken);
+        if (!refreshed) {
+            return response;
+        }
+
+        this.logger.debug('Replaying request with refreshed token:', config.url);
+        config.authReplayed = true;
+        return fetch(config.url, {
+            ...config,
+            headers: { ...config.headers, Authorization: `Bearer ${this.accessToken}` }
+        });
+    }
+
+    /**
+     * Refresh the token pair; concurrent calls share one refresh
+     * Requests made by the refresh callback should pass { skipAuth: true }
+     */
+    refresh(failedToken = null) {
+        if (this.refreshing) {
+            return this.refreshing;
+        }
+
+        this.refreshing = this.runRefresh(failedToken).finally(() => {
+            this.refreshing = null;
+        });
+        return this.refreshing;
+    }
+
+    async runRefresh(failedToken) {
+        // Another tab (or an earlier refresh) may already have rotated the token
+        this.tokens = this.load() || this.tokens;
+        if (failedToken && this.accessToken && this.accessToken !== failedToken && !this.isExpired()) {
+            return true;
+        }
+
+        const refreshToken = this.tokens?.refreshToken;
+        if (!refreshToken || typeof this.options.refresh !== 'function') {
+            await this.logout();
+            return false;
+        }
+
+        try {
+            const tokens = await this.options.refresh(refreshToken);
+            if (!tokens?.accessToken) {
+                throw new Error('refresh() did not return an accessToken');
+            }
+            this.setTokens(tokens);
+            this.logger.info('Access token refreshed');
+            return true;
+        } catch (error) {
+            this.logger.error('Token refresh failed', error);
+            await this.logout();
+            return false;
+        }
+    }
+
+    /**
+     * Called after the tokens are cleared
+     */
+    onLogout(callback) {
+        this.logoutHooks.push(callback);
+        return () => {
+            const index = this.logoutHooks.indexOf(callback);
+            if (index > -1) {
+                this.logoutHooks.splice(index, 1);
+            }
+        };
+    }
+
+    async logout() {
+        this.tokens = null;
+
+        if (isBrowser) {
+            if (this.options.storage === 'session') {
+                this.storage.removeSession(this.options.storageKey);
+            } else {
+                this.storage.removeLocal(this.options.storageKey);
+            }
+        }
+
+        for (const hook of this.logoutHooks) {
+            try {
+                await hook();
+            } catch (error) {
+                this.logger.error('Logout hook error:', error);
+            }
+        }
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * VelocityDOM - Keyed DOM diffing for VelocityJS
+ * Patches rendered markup into live DOM so unchanged nodes, focus, input values and scroll survive re-renders
+ */
+
+// Attribute used to identify children across renders, e.g. <li data-key="42">
+export const KEY_ATTRIBUTE = 'data-key';
+
+// Event listeners and bound properties per element, see bindElement()
+const bindingRecords = new WeakMap();
+
+/**
+ * Patch the children of `target` to match `content` (an HTML string, Node, DocumentFragment or `html` result)
+ */
+export function patch(target, content, options = {}) {
+    patchChildren(target, toFragment(content, options));
+    return target;
+}
+
+/**
+ * Turn render output into a fragment whose child nodes describe the desired DOM
+ */
+export function toFragment(content, options = {}) {
+    if (content instanceof DocumentFragment) {
+        return content;
+    }
+
+    if (content && typeof content.toFragment === 'function') {
+        return content.toFragment(options);
+    }
+
+    const template = document.createElement('template');
+
+    if (content instanceof Node) {
+        template.content.appendChild(content);
+    } else if (content !== null && content !== undefined && content !== false) {
+        template.innerHTML = String(content);
+    }
+
+    return template.content;
+}
+
+/**
+ * Reconcile the child nodes of `parent` with the child nodes of `next`
+ * Keyed children are matched by key, the rest by position and node type
+ */
+export function patchChildren(parent, next) {
+    const oldChildren = Array.from(parent.childNodes);
+    const newChildren = Array.from(next.childNodes);
+
+    const keyed = new Map();
+    const unkeyed = [];
+
+    oldChildren.forEach(child => {
+        const key = getKey(child);
+        if (key !== null && !keyed.has(key)) {
+            keyed.set(key, child);
+        } else {
+            unkeyed.push(child);
+        }
+    });
+
+    const used = new Set();
+    let unkeyedIndex = 0;
+
+    newChildren.forEach((newChild, index) => {
+        const key = getKey(newChild);
+        let match = null;
+
+        if (key !== null) {
+            const candidate = keyed.get(key);
+            if (candidate && isSameType(candidate, newChild)) {
+                match = candidate;
+            }
+        } else {
+            // Skip over unkeyed nodes that cannot be reused for this position
+            while (unkeyedIndex < unkeyed.length && !isSameType(unkeyed[unkeyedIndex], newChild)) {
+                unkeyedIndex++;
+            }
+            if (unkeyedIndex < unkeyed.length) {
+                match = unkeyed[unkeyedIndex++];
+            }
+        }
+
+        const current = parent.childNodes[index] || null;
+
+        if (match) {
+            used.add(match);
+            patchNode(match, newChild);
+            if (match !== current) {
+                parent.insertBefore(match, current);
+            }
+        } else {
+            parent.insertBefore(newChild, current);
+        }
+    });
+
+    oldChildren.forEach(child => {
+        if (!used.has(child) && child.parentNode === parent) {
+            parent.removeChild(child);
+        }
+    });
+}
+
+/**
+ * Update a reused node in place
+ */
+function patchNode(node, next) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        if (node.nodeValue !== next.nodeValue) {
+            node.nodeValue = next.nodeValue;
+        }
+        return;
+    }
+
+    patchAttributes(node, next);
+
+    if (bindingRecords.has(node) || bindingRecords.has(next)) {
+        const record = bindingRecords.get(next);
+        bindElement(node, record ? { events: record.handlers, props: record.props } : {}, record?.host);
+    }
+
+    if (node.tagName === 'TEXTAREA') {
+        // Children of a textarea are its default value only
+        if (node.defaultValue !== next.defaultValue) {
+            node.defaultValue = next.defaultValue;
+            node.value = next.defaultValue;
+        }
+        return;
+    }
+
+    patchChildren(node.tagName === 'TEMPLATE' ? node.content : node,
+        next.tagName === 'TEMPLATE' ? next.content : next);
+}
+
+/**
+ * Attach event handlers and properties to an element, replacing those from a previous render
+ * Listeners stay registered across renders and dispatch to the latest handler
+ */
+export function bindElement(element, bindings = {}, host = null) {
+    let record = bindingRecords.get(element);
+    if (!record) {
+        record = { handlers: {}, listeners: {}, props: {}, host: null };
+        bindingRecords.set(element, record);
+    }
+
+    const events = bindings.events || {};
+    const props = bindings.props || {};
+
+    Object.keys(record.listeners).forEach(type => {
+        if (!(type in events)) {
+            element.removeEventListener(type, record.listeners[type]);
+            delete record.listeners[type];
+        }
+    });
+
+    Object.keys(events).forEach(type => {
+        if (!record.listeners[type]) {
+            record.listeners[type] = (event) => {
+                const handler = record.handlers[type];
+                if (typeof handler === 'function') {
+                    handler.call(record.host ?? element, event);
+                }
+            };
+            element.addEventListener(type, record.listeners[type]);
+        }
+    });
+
+    // Only assign properties whose bound value changed, so live input state is kept
+    Object.entries(props).forEach(([name, value]) => {
+        if (!(name in record.props) || record.props[name] !== value) {
+            element[name] = value;
+        }
+    });
+
+    record.handlers = events;
+    record.props = props;
+    record.host = host ?? null;
+}
+
+function patchAttributes(node, next) {
+    Array.from(node.attributes).forEach(({ name }) => {
+        if (!next.hasAttribute(name)) {
+            node.removeAttribute(name);
+            syncProperty(node, name, null);
+        }
+    });
+
+    Array.from(next.attributes).forEach(({ name, value }) => {
+        if (node.getAttribute(name) !== value) {
+            node.setAttribute(name, value);
+            syncProperty(node, name, value);
+        }
+    });
+}
+
+/**
+ * Form state lives in properties; only overwrite it when the template changed the attribute
+ */
+function syncProperty(node, name, value) {
+    if (name === 'value' && 'value' in node) {
+        node.value = value ?? '';
+    } else if ((name === 'checked' || name === 'selected') && name in node) {
+        node[name] = value !== null;
+    }
+}
+
+function getKey(node) {
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute(KEY_ATTRIBUTE) : null;
+}
+
+function isSameType(a, b) {
+    return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+}
@@ -0,0 +1,116 @@
+/**
+ * VelocityElements - Custom Elements backed by VelocityJS components
+ * Lets components be embedded as <user-card user-id="1"> in pages the app does not control
+ */
+
+/**
+ * camelCase prop name to kebab-case attribute name
+ */
+export function propToAttribute(prop) {
+    return prop.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+/**
+ * Build an HTMLElement subclass that mounts `componentName` when connected
+ */
+export function createComponentElement(app, componentName, options = {}) {
+    const { shadow = false, observedProps = [] } = options;
+    const attributeToProp = new Map(observedProps.map(prop => [propToAttribute(prop), prop]));
+
+    class VelocityComponentElement extends HTMLElement {
+        static get observedAttributes() {
+            return Array.from(attributeToProp.keys());
+        }
+
+        constructor() {
+            super();
+            this.component = null;
+            this.props = {};
+            this.mounting = null;
+
+            // Properties assigned before the element was upgraded shadow the accessors below
+            observedProps.forEach(prop => {
+                if (Object.prototype.hasOwnProperty.call(this, prop)) {
+                    const value = this[prop];
+                    delete this[prop];
+                    this.props[prop] = value;
+                }
+            });
+        }
+
+        connectedCallback() {
+            if (this.component || this.mounting) return;
+
+            // Attributes present before the element was upgraded
+            attributeToProp.forEach((prop, attribute) => {
+                if (this.hasAttribute(attribute) && !(prop in this.props)) {
+                    this.props[prop] = this.getAttribute(attribute);
+                }
+            });
+
+            const target = shadow ? (this.shadowRoot || this.attachShadow({ mode: 'open' })) : this;
+
+            this.mounting = app.mountComponent(componentName, target, this.props, { host: this })
+                .then(component => {
+                    this.component = component;
+                    return component;
+                })
+                .catch(error => {
+                    app.logger.error(`Custom element failed to mount: ${this.localName}`, error);
+                })
+                .finally(() => {
+                    this.mounting = null;
+                });
+        }
+
+        disconnectedCallback() {
+            // Moving an element fires disconnect + connect; only tear down if it stays detached
+            queueMicrotask(async () => {
+                if (this.isConnected) return;
+
+                await this.mounting;
+                if (this.component && !this.isConnected) {
+                    const component = this.component;
+                    this.component = null;
+                    await app.unmountComponent(component);
+                }
+            });
+        }
+
+        attributeChangedCallback(attribute, oldValue, newValue) {
+            if (oldValue === newValue) return;
+            this.setProp(attributeToProp.get(attribute), newValue);
+        }
+
+        setProp(prop, value) {
+            this.props[prop] = value;
+            this.component?.setProps({ [prop]: value });
+        }
+
+        /**
+         * Component state, readable from outside: element.state.count
+         */
+        get state() {
+            return this.component ? this.component.state : {};
+        }
+
+        setState(newState) {
+            return this.component?.setState(newState);
+        }
+    }
+
+    // Rich values (objects, arrays, functions) can be passed as properties: element.user = {...}
+    observedProps.forEach(prop => {
+        Object.defineProperty(VelocityComponentElement.prototype, prop, {
+            get() {
+                return this.props[prop];
+            },
+            set(value) {
+                this.setProp(prop, value);
+            },
+            configurable: true
+        });
+    });
+
+    return VelocityComponentElement;
+}
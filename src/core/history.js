@@ -0,0 +1,244 @@
+/**
+ * VelocityStoreHistory - Undo/redo for VelocityStore
+ * Each step keeps only the properties its mutations changed; the rest of the state is shared, not copied
+ */
+
+import { signal, batch } from './reactive.js';
+
+// Notifications sent by the history itself
+const HISTORY_TYPES = ['undo', 'redo'];
+
+export class VelocityStoreHistory {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.depth = options.depth ?? 100;
+        this.skip = new Set(options.skip || []);
+        this.undoStack = [];
+        this.redoStack = [];
+        // Changes of the commit (or transaction) in progress: target -> recorded values
+        this.pending = new Map();
+        this.pendingMutations = [];
+        this.transactionDepth = 0;
+        // Signals, so components reading canUndo/canRedo re-render
+        this.undoSize = signal(0);
+        this.redoSize = signal(0);
+
+        this.unsubscribeWrites = store.subscribeWrites((target, key, mutation) => {
+            if (!this.skip.has(mutation)) {
+                this.capture(target, key);
+            }
+        });
+
+        this.unsubscribe = store.subscribe((state, oldState, mutation) => {
+            const type = mutation?.type;
+
+            if (HISTORY_TYPES.includes(type)) return;
+
+            // A replaced state has no relation to the recorded steps
+            if (type === 'replaceState') {
+                this.clear();
+                return;
+            }
+
+            if (!this.skip.has(type)) {
+                this.pendingMutations.push(type);
+            }
+
+            if (this.transactionDepth === 0) {
+                this.finishStep();
+            }
+        });
+    }
+
+    get canUndo() {
+        return this.undoSize.value > 0;
+    }
+
+    get canRedo() {
+        return this.redoSize.value > 0;
+    }
+
+    /**
+     * Remember the value a property had before the first write in this step
+     */
+    capture(target, key) {
+        if (Array.isArray(target)) {
+            // Arrays are restored as a whole; their items are shared, not cloned
+            if (!this.pending.has(target)) {
+                this.pending.set(target, { before: [...target] });
+            }
+            return;
+        }
+
+        if (!this.pending.has(target)) {
+            this.pending.set(target, { before: new Map() });
+        }
+
+        const { before } = this.pending.get(target);
+        if (!before.has(key)) {
+            before.set(key, {
+                hadKey: Object.prototype.hasOwnProperty.call(target, key),
+                value: target[key]
+            });
+        }
+    }
+
+    finishStep() {
+        const changes = new Map();
+
+        this.pending.forEach(({ before }, target) => {
+            if (Array.isArray(target)) {
+                const after = [...target];
+                if (after.length !== before.length || after.some((item, index) => !Object.is(item, before[index]))) {
+                    changes.set(target, { before, after });
+                }
+                return;
+            }
+
+            const after = new Map();
+            before.forEach((entry, key) => {
+                const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+                if (hadKey !== entry.hadKey || !Object.is(target[key], entry.value)) {
+                    after.set(key, { hadKey, value: target[key] });
+                }
+            });
+            Array.from(before.keys()).forEach(key => {
+                if (!after.has(key)) before.delete(key);
+            });
+
+            if (after.size > 0) {
+                changes.set(target, { before, after });
+            }
+        });
+
+        const mutations = this.pendingMutations;
+        this.pending = new Map();
+        this.pendingMutations = [];
+
+        if (changes.size === 0) return;
+
+        this.undoStack.push({ mutations, changes });
+        if (this.undoStack.length > this.depth) {
+            this.undoStack.splice(0, this.undoStack.length - this.depth);
+        }
+        this.redoStack = [];
+        this.updateSizes();
+    }
+
+    /**
+     * Group every commit made by `fn` into one undo step; async functions are grouped until they settle
+     */
+    transaction(fn) {
+        this.transactionDepth++;
+
+        const end = () => {
+            if (--this.transactionDepth === 0) {
+                this.finishStep();
+            }
+        };
+
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            end();
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return Promise.resolve(result).finally(end);
+        }
+
+        end();
+        return result;
+    }
+
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return false;
+
+        this.apply(step, 'before', 'undo');
+        this.redoStack.push(step);
+        this.updateSizes();
+        return true;
+    }
+
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return false;
+
+        this.apply(step, 'after', 'redo');
+        this.undoStack.push(step);
+        this.updateSizes();
+        return true;
+    }
+
+    /**
+     * Write the recorded values back through the reactive state, so only affected readers update
+     */
+    apply(step, side, type) {
+        const store = this.store;
+        const oldState = { ...store.rawState };
+
+        batch(() => store.withCommit(() => {
+            step.changes.forEach((change, target) => {
+                const proxy = store.reactive(target);
+                const values = change[side];
+
+                if (Array.isArray(target)) {
+                    proxy.splice(0, proxy.length, ...values);
+                    return;
+                }
+
+                values.forEach(({ hadKey, value }, key) => {
+                    if (hadKey) {
+                        proxy[key] = value;
+                    } else {
+                        delete proxy[key];
+                    }
+                });
+            });
+        }));
+
+        store.notify(oldState, { type, payload: step.mutations });
+    }
+
+    updateSizes() {
+        this.undoSize.value = this.undoStack.length;
+        this.redoSize.value = this.redoStack.length;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = new Map();
+        this.pendingMutations = [];
+        this.updateSizes();
+    }
+
+    destroy() {
+        this.unsubscribeWrites();
+        this.unsubscribe();
+        this.clear();
+    }
+}
+
+/**
+ * Store plugin adding undo(), redo(), canUndo, canRedo and transaction(fn)
+ * createStore({ state, mutations, plugins: [createHistory({ depth: 50, skip: ['setSelection'] })] })
+ */
+export function createHistory(options = {}) {
+    return (store) => {
+        const history = new VelocityStoreHistory(store, options);
+
+        store.history = history;
+        store.undo = () => history.undo();
+        store.redo = () => history.redo();
+        store.transaction = (fn) => history.transaction(fn);
+
+        Object.defineProperties(store, {
+            canUndo: { get: () => history.canUndo, configurable: true },
+            canRedo: { get: () => history.canRedo, configurable: true }
+        });
+    };
+}
@@ -3,6 +3,8 @@
  * Provides comprehensive logging with performance monitoring and analytics
  */
 
+import { isBrowser } from './utils.js';
+
 export class VelocityLogger {
     constructor(debug = false) {
         this.debugEnabled = debug;
@@ -10,7 +12,7 @@ export class VelocityLogger {
         this.logs = [];
         this.maxLogs = 1000;
         this.enableConsole = true;
-        this.enableStorage = true;
+        this.enableStorage = isBrowser;
         this.storageKey = 'velocity_logs';
         
         // Enhanced features
@@ -18,7 +20,7 @@ export class VelocityLogger {
         this.errorBoundaries = new Map();
         this.analyticsEndpoint = null;
         this.sessionId = this.generateSessionId();
-        this.userAgent = navigator.userAgent;
+        this.userAgent = isBrowser ? navigator.userAgent : 'server';
         this.startTime = Date.now();
         
         // Performance monitoring
@@ -60,9 +62,12 @@ export class VelocityLogger {
             this.loadLogsFromStorage();
         }
         
-        this.setupGlobalErrorHandler();
-        this.setupPerformanceMonitoring();
-        this.setupUnloadHandler();
+        // Browser hooks are skipped when running under Node (SSR)
+        if (isBrowser) {
+            this.setupGlobalErrorHandler();
+            this.setupPerformanceMonitoring();
+            this.setupUnloadHandler();
+        }
         
         this.info('VelocityLogger Enhanced initialized', {
             sessionId: this.sessionId,
@@ -218,7 +223,7 @@ export class VelocityLogger {
             data,
             timestamp: Date.now(),
             sessionId: this.sessionId,
-            url: window.location.href,
+            url: isBrowser ? window.location.href : null,
             userAgent: this.userAgent,
             memory: this.getMemoryUsage(),
             viewport: this.getViewportInfo(),
@@ -251,6 +256,8 @@ export class VelocityLogger {
      * Get viewport information
      */
     getViewportInfo() {
+        if (!isBrowser) return null;
+        
         return {
             width: window.innerWidth,
             height: window.innerHeight,
@@ -262,7 +269,7 @@ export class VelocityLogger {
      * Get connection information
      */
     getConnectionInfo() {
-        if (navigator.connection) {
+        if (isBrowser && navigator.connection) {
             return {
                 effectiveType: navigator.connection.effectiveType,
                 downlink: navigator.connection.downlink,
@@ -461,6 +468,8 @@ export class VelocityLogger {
     }
 
     emitLogEvent(entry) {
+        if (!isBrowser) return;
+        
         const event = new CustomEvent('velocity:log', {
             detail: entry
         });
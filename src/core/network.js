@@ -3,6 +3,69 @@
  * Provides advanced HTTP client with caching, retries, and offline support
  */
 
+import { isBrowser, isAbsoluteUrl } from './utils.js';
+import { VelocityOutbox } from './outbox.js';
+import { VelocityEventStream, VelocitySocket } from './realtime.js';
+
+// Body readers for the responseType option
+export const RESPONSE_TYPES = ['json', 'text', 'blob', 'arrayBuffer', 'stream', 'auto'];
+
+/**
+ * Thrown for non-2xx responses; carries the status, the parsed body and the request config
+ */
+export class HttpError extends Error {
+    constructor(response, data, config) {
+        super(`HTTP ${response.status}: ${response.statusText}`);
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.headers = response.headers;
+        this.data = data;
+        this.config = config;
+    }
+
+    /**
+     * Server errors, timeouts and rate limits may succeed on a later attempt
+     */
+    get retryable() {
+        return this.status >= 500 || this.status === 408 || this.status === 429;
+    }
+}
+
+/**
+ * Progress event for uploads and downloads; `total` and `percent` are null when the size is unknown
+ */
+function progressEvent(loaded, total) {
+    return {
+        loaded,
+        total: total || null,
+        percent: total ? Math.min(100, (loaded / total) * 100) : null
+    };
+}
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Request config keys fetch() understands; the rest (cache: false, retries, timeout, ...) belong to VelocityNetwork
+const FETCH_INIT_KEYS = [
+    'method', 'headers', 'body', 'signal', 'credentials', 'mode', 'redirect',
+    'referrer', 'referrerPolicy', 'integrity', 'keepalive', 'priority', 'duplex'
+];
+
+function toFetchInit(config) {
+    const init = {};
+    FETCH_INIT_KEYS.forEach(key => {
+        if (config[key] !== undefined) {
+            init[key] = config[key];
+        }
+    });
+    // A RequestCache mode such as 'no-store' is meant for fetch itself
+    if (typeof config.cache === 'string') {
+        init.cache = config.cache;
+    }
+    return init;
+}
+
 export class VelocityNetwork {
     constructor(logger) {
         this.logger = logger;
@@ -26,15 +89,18 @@ export class VelocityNetwork {
         this.abortControllers = new Map();
         this.rateLimiters = new Map();
         this.mockResponses = new Map();
-        this.offlineQueue = [];
         this.activeRequests = new Set();
         this.requestMetrics = new Map();
         this.authTokens = new Map();
         
         // Offline support
-        this.isOnline = navigator.onLine;
-        this.offlineQueue = [];
+        this.isOnline = isBrowser ? navigator.onLine : true;
+        // Writes made offline, stored in IndexedDB until they are replayed
+        this.outbox = new VelocityOutbox(logger);
+        // URL pattern -> conflict policy for replayed writes
         this.syncStrategies = new Map();
+        // Open SSE streams and WebSockets
+        this.connections = new Set();
         
         // Request tracking
         this.activeRequests = new Set();
@@ -56,10 +122,12 @@ export class VelocityNetwork {
      * Setup online/offline event handlers
      */
     setupOnlineOfflineHandlers() {
+        if (!isBrowser) return;
+        
         window.addEventListener('online', () => {
             this.isOnline = true;
             this.logger.info('Network: Back online');
-            this.processOfflineQueue();
+            this.processOfflineQueue().catch(error => this.logger.error('Failed to replay offline requests', error));
         });
 
         window.addEventListener('offline', () => {
@@ -107,12 +175,15 @@ export class VelocityNetwork {
             // Start request tracking
             this.startRequestTracking(requestId, config);
             
+            // Only GET responses are cached; HEAD, PATCH, ... always reach the server
+            const cacheable = config.cache !== false && (config.method || 'GET').toUpperCase() === 'GET';
+            
             // Check cache first
-            if (config.cache !== false && this.config.enableCache) {
+            if (cacheable && this.config.enableCache) {
                 const cached = this.getFromCache(config);
                 if (cached) {
                     this.logger.debug('Cache hit:', config.url);
-                    return cached;
+                    return this.parseResponse(cached, config);
                 }
             }
             
@@ -121,8 +192,8 @@ export class VelocityNetwork {
                 throw new Error('Rate limit exceeded');
             }
             
-            // Handle offline requests
-            if (!this.isOnline && config.offline !== false) {
+            // Queue writes while offline; reads go to fetch so the service worker cache can answer
+            if (!this.isOnline && config.offline !== false && !['GET', 'HEAD'].includes(config.method || 'GET')) {
                 return this.handleOfflineRequest(config);
             }
             
@@ -130,11 +201,11 @@ export class VelocityNetwork {
             const response = await this.executeRequestWithRetry(config, requestId);
             
             // Cache successful responses
-            if (config.cache !== false && response.ok) {
+            if (cacheable && response.ok) {
                 this.addToCache(config, response.clone());
             }
             
-            return response;
+            return this.parseResponse(response, config);
             
         } catch (error) {
             this.handleRequestError(error, config, requestId);
@@ -150,8 +221,12 @@ export class VelocityNetwork {
     async executeRequestWithRetry(config, requestId) {
         let lastError;
         const maxRetries = config.retries ?? this.config.retries;
+        // Caller's signal (options.signal) aborts every attempt
+        const callerSignal = config.signal;
         
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            let unlinkSignal = null;
+            
             try {
                 // Apply request interceptors
                 const processedConfig = await this.applyRequestInterceptors(config);
@@ -161,29 +236,37 @@ export class VelocityNetwork {
                 this.abortControllers.set(requestId, abortController);
                 processedConfig.signal = abortController.signal;
                 
+                if (callerSignal) {
+                    const abort = () => abortController.abort(callerSignal.reason);
+                    if (callerSignal.aborted) abort();
+                    callerSignal.addEventListener('abort', abort);
+                    unlinkSignal = () => callerSignal.removeEventListener('abort', abort);
+                }
+                
                 // Set timeout
                 const timeoutId = setTimeout(() => {
                     abortController.abort();
                 }, processedConfig.timeout || this.config.timeout);
                 
                 try {
+                    let processedResponse;
+                    
                     // Check for mock response
                     const mockResponse = this.getMockResponse(processedConfig.url, processedConfig.method);
                     if (mockResponse) {
                         this.logger.debug('Using mock response:', processedConfig.url);
+                        processedResponse = mockResponse;
+                    } else {
+                        // Make actual request
+                        const response = await this.send(processedConfig);
                         clearTimeout(timeoutId);
-                        return mockResponse;
+                        
+                        // Apply response interceptors
+                        processedResponse = await this.applyResponseInterceptors(response, processedConfig);
                     }
                     
-                    // Make actual request
-                    const response = await fetch(processedConfig.url, processedConfig);
-                    clearTimeout(timeoutId);
-                    
-                    // Apply response interceptors
-                    const processedResponse = await this.applyResponseInterceptors(response, processedConfig);
-                    
-                    if (!processedResponse.ok && this.shouldRetry(processedResponse.status, attempt, maxRetries)) {
-                        throw new Error(`HTTP ${processedResponse.status}: ${processedResponse.statusText}`);
+                    if (!processedResponse.ok) {
+                        throw await this.createHttpError(processedResponse, processedConfig);
                     }
                     
                     return processedResponse;
@@ -191,11 +274,17 @@ export class VelocityNetwork {
                 } finally {
                     clearTimeout(timeoutId);
                     this.abortControllers.delete(requestId);
+                    unlinkSignal?.();
                 }
                 
             } catch (error) {
                 lastError = error;
                 
+                // Cancelled by the caller, not a timeout
+                if (callerSignal?.aborted) {
+                    break;
+                }
+                
                 if (attempt < maxRetries && this.shouldRetry(error, attempt, maxRetries)) {
                     const delay = this.calculateRetryDelay(attempt, config.retryDelay);
                     this.logger.debug(`Retrying request (${attempt + 1}/${maxRetries}) after ${delay}ms:`, config.url);
@@ -210,6 +299,145 @@ export class VelocityNetwork {
         throw lastError;
     }
 
+    /**
+     * fetch, or XMLHttpRequest when upload progress is requested (fetch cannot report it)
+     */
+    async send(config) {
+        const response = config.onUploadProgress && typeof XMLHttpRequest !== 'undefined'
+            ? await this.sendWithXHR(config)
+            : await fetch(config.url, toFetchInit(config));
+        
+        return config.onDownloadProgress ? this.trackDownload(response, config.onDownloadProgress) : response;
+    }
+
+    sendWithXHR(config) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const abort = () => xhr.abort();
+            
+            xhr.open(config.method || 'GET', config.url);
+            xhr.responseType = 'blob';
+            xhr.withCredentials = config.credentials === 'include';
+            new Headers(config.headers).forEach((value, name) => xhr.setRequestHeader(name, value));
+            
+            xhr.upload.onprogress = (event) => {
+                config.onUploadProgress(progressEvent(event.loaded, event.lengthComputable ? event.total : null));
+            };
+            
+            xhr.onload = () => {
+                config.signal?.removeEventListener('abort', abort);
+                const headers = new Headers();
+                xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+                    const index = line.indexOf(':');
+                    headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+                });
+                
+                resolve(new Response(NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response, {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers
+                }));
+            };
+            xhr.onerror = () => reject(new TypeError('Network request failed'));
+            xhr.onabort = () => reject(new DOMException('The request was aborted', 'AbortError'));
+            
+            config.signal?.addEventListener('abort', abort);
+            xhr.send(config.body ?? null);
+        });
+    }
+
+    /**
+     * Report download progress as the body is read
+     */
+    trackDownload(response, onProgress) {
+        if (!response.body || typeof TransformStream === 'undefined') {
+            return response;
+        }
+        
+        const total = Number(response.headers.get('content-length')) || null;
+        let loaded = 0;
+        
+        const body = response.body.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                onProgress(progressEvent(loaded, total));
+                controller.enqueue(chunk);
+            }
+        }));
+        
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    }
+
+    /**
+     * Response body as requested by `config.responseType`; without it the Response itself is returned
+     */
+    async parseResponse(response, config) {
+        if (!config.responseType) {
+            return response;
+        }
+        
+        return {
+            data: await this.readBody(response, config.responseType),
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            config
+        };
+    }
+
+    async readBody(response, responseType = 'auto') {
+        if (responseType === 'stream') {
+            return response.body;
+        }
+        
+        if (response.status === 204 || response.status === 205) {
+            return null;
+        }
+        
+        let type = responseType;
+        if (type === 'auto') {
+            const contentType = response.headers.get('content-type') || '';
+            type = /[/+]json\b/.test(contentType) ? 'json'
+                : !contentType || /^text\/|xml|javascript/.test(contentType) ? 'text'
+                : 'blob';
+        }
+        
+        switch (type) {
+            case 'json': {
+                const text = await response.text();
+                return text ? JSON.parse(text) : null;
+            }
+            case 'text':
+                return response.text();
+            case 'blob':
+                return response.blob();
+            case 'arrayBuffer':
+                return response.arrayBuffer();
+            default:
+                throw new Error(`Unknown responseType: ${responseType}`);
+        }
+    }
+
+    /**
+     * HttpError with the body read as the request asked, falling back to text when it does not parse
+     */
+    async createHttpError(response, config) {
+        let data = null;
+        const responseType = !config.responseType || config.responseType === 'stream' ? 'auto' : config.responseType;
+        
+        try {
+            data = await this.readBody(response.clone(), responseType);
+        } catch {
+            data = await response.text().catch(() => null);
+        }
+        
+        return new HttpError(response, data, config);
+    }
+
     /**
      * HTTP method shortcuts with enhanced options
      */
@@ -265,12 +493,13 @@ export class VelocityNetwork {
     }
 
     async download(url, options = {}) {
-        const response = await this.request(url, {
+        const result = await this.request(url, {
             ...options,
-            responseType: 'blob'
+            responseType: 'blob',
+            onDownloadProgress: options.onProgress
         });
 
-        const blob = await response.blob();
+        const blob = result.data;
         const downloadUrl = URL.createObjectURL(blob);
         
         const link = document.createElement('a');
@@ -281,40 +510,48 @@ export class VelocityNetwork {
         document.body.removeChild(link);
         
         URL.revokeObjectURL(downloadUrl);
-        return response;
+        return result;
     }
 
     /**
-     * Parallel requests
+     * Server-Sent Events stream; resumes with Last-Event-ID after reconnecting
      */
-    async all(requests) {
-        return Promise.all(requests.map(req => {
-            if (typeof req === 'string') {
-                return this.get(req);
-            } else if (Array.isArray(req)) {
-                return this.request(req[0], req[1]);
-            } else {
-                return this.request(req.url, req);
-            }
-        }));
+    stream(url, options = {}) {
+        const stream = new VelocityEventStream(this, url, options);
+        this.connections.add(stream);
+        return stream;
+    }
+
+    /**
+     * WebSocket that reconnects and buffers sends while disconnected
+     */
+    socket(url, options = {}) {
+        const socket = new VelocitySocket(this, url, options);
+        this.connections.add(socket);
+        return socket;
+    }
+
+    closeConnections() {
+        this.connections.forEach(connection => connection.close());
+        this.connections.clear();
+    }
+
+    /**
+     * Parallel requests; `options` (e.g. { responseType: 'json' }) apply to every request
+     */
+    async all(requests, options = {}) {
+        return Promise.all(requests.map(req => this.requestFrom(req, options)));
     }
 
     /**
      * Sequential requests
      */
-    async series(requests) {
+    async series(requests, options = {}) {
         const results = [];
         
         for (const req of requests) {
             try {
-                let result;
-                if (typeof req === 'string') {
-                    result = await this.get(req);
-                } else if (Array.isArray(req)) {
-                    result = await this.request(req[0], req[1]);
-                } else {
-                    result = await this.request(req.url, req);
-                }
+                const result = await this.requestFrom(req, options);
                 results.push({ success: true, data: result });
             } catch (error) {
                 results.push({ success: false, error });
@@ -327,6 +564,19 @@ export class VelocityNetwork {
         return results;
     }
 
+    /**
+     * Request from a URL, [url, options] pair or config object
+     */
+    requestFrom(req, options = {}) {
+        if (typeof req === 'string') {
+            return this.get(req, options);
+        } else if (Array.isArray(req)) {
+            return this.request(req[0], { ...options, ...req[1] });
+        } else {
+            return this.request(req.url, { ...options, ...req });
+        }
+    }
+
     /**
      * Request caching system
      */
@@ -334,8 +584,9 @@ export class VelocityNetwork {
         const cacheKey = this.generateCacheKey(config);
         const cached = this.cache.get(cacheKey);
         
+        // A body can only be read once, so every hit gets its own copy
         if (cached && !this.isCacheExpired(cached)) {
-            return cached.response;
+            return cached.response.clone();
         }
         
         if (cached) {
@@ -360,7 +611,7 @@ export class VelocityNetwork {
     }
 
     generateCacheKey(config) {
-        const key = `${config.method || 'GET'}:${config.url}`;
+        const key = `${(config.method || 'GET').toUpperCase()}:${config.url}`;
         if (config.body) {
             const bodyHash = this.hashString(JSON.stringify(config.body));
             return `${key}:${bodyHash}`;
@@ -450,9 +701,10 @@ export class VelocityNetwork {
         
         for (const interceptor of this.interceptors.response) {
             try {
-                if (response.ok && interceptor.onSuccess) {
+                // An earlier interceptor may have recovered the response (e.g. replayed after a token refresh)
+                if (processedResponse.ok && interceptor.onSuccess) {
                     processedResponse = await interceptor.onSuccess(processedResponse, config) || processedResponse;
-                } else if (!response.ok && interceptor.onError) {
+                } else if (!processedResponse.ok && interceptor.onError) {
                     processedResponse = await interceptor.onError(processedResponse, config) || processedResponse;
                 }
             } catch (error) {
@@ -466,37 +718,63 @@ export class VelocityNetwork {
     /**
      * Offline support
      */
-    handleOfflineRequest(config) {
+    async handleOfflineRequest(config) {
         if (config.offline === false) {
             throw new Error('Request failed: Network offline');
         }
         
-        // Add to offline queue
-        return new Promise((resolve, reject) => {
-            this.offlineQueue.push({
-                config,
-                resolve,
-                reject,
-                timestamp: Date.now()
-            });
-            
-            this.logger.info('Request queued for offline sync:', config.url);
-        });
+        // Headers are stored as sent, so the service worker can replay without the page
+        const processedConfig = await this.applyRequestInterceptors({ ...config, headers: { ...config.headers } });
+        const entry = await this.outbox.enqueue(processedConfig, this.getSyncStrategy(config.url));
+        
+        this.logger.info('Request queued for offline sync:', config.url);
+        // Resolves with the response once replayed, unless the page is closed first
+        const response = await this.outbox.wait(entry.id);
+        if (!response.ok) {
+            throw await this.createHttpError(response, config);
+        }
+        return this.parseResponse(response, config);
     }
 
+    /**
+     * Replay the offline outbox in order
+     */
     async processOfflineQueue() {
-        this.logger.info(`Processing ${this.offlineQueue.length} offline requests`);
-        
-        while (this.offlineQueue.length > 0) {
-            const queuedRequest = this.offlineQueue.shift();
-            
-            try {
-                const response = await this.executeRequestWithRetry(queuedRequest.config, this.generateRequestId());
-                queuedRequest.resolve(response);
-            } catch (error) {
-                queuedRequest.reject(error);
+        this.logger.info(`Processing ${this.outbox.size} offline requests`);
+        
+        return this.outbox.replay({
+            // Fresh auth headers from the interceptors, in case tokens changed while offline
+            prepare: async (init, entry) => {
+                const config = await this.applyRequestInterceptors({ ...init, url: entry.url });
+                const { url, ...processed } = config;
+                return processed;
+            },
+            resolveConflict: (entry, result) => {
+                const strategy = this.getSyncStrategy(entry.url);
+                return typeof strategy === 'function' ? strategy(entry, result) : 'drop';
+            }
+        });
+    }
+
+    /**
+     * Conflict policy for queued writes to URLs containing `pattern`:
+     * 'server-wins' (default) drops writes answered with 409/412,
+     * 'client-wins' replays without If-Match/If-Unmodified-Since,
+     * 'last-write-wins' keeps only the newest queued write per URL,
+     * a function (entry, result) returning 'drop' or 'retry' decides on 409/412 during page replays
+     */
+    setSyncStrategy(pattern, strategy) {
+        this.syncStrategies.set(pattern, strategy);
+        return this;
+    }
+
+    getSyncStrategy(url) {
+        for (const [pattern, strategy] of this.syncStrategies) {
+            if (pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)) {
+                return strategy;
             }
         }
+        return 'server-wins';
     }
 
     /**
@@ -515,7 +793,7 @@ export class VelocityNetwork {
             return new Response(JSON.stringify(mockResponse.data), {
                 status: mockResponse.status || 200,
                 statusText: mockResponse.statusText || 'OK',
-                headers: mockResponse.headers || {}
+                headers: { 'Content-Type': 'application/json', ...mockResponse.headers }
             });
         }
         
@@ -576,21 +854,31 @@ export class VelocityNetwork {
      */
     mergeConfig(url, options) {
         const fullUrl = this.buildUrl(url);
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.config.headers,
+            ...options.headers
+        };
+        
+        // The browser sets the type (and the multipart boundary) for these bodies
+        const { body } = options;
+        const typedBody = (typeof FormData !== 'undefined' && body instanceof FormData) ||
+            (typeof Blob !== 'undefined' && body instanceof Blob) ||
+            (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams);
+        if (typedBody && !options.headers?.['Content-Type']) {
+            delete headers['Content-Type'];
+        }
         
         return {
             ...this.config,
             ...options,
             url: fullUrl,
-            headers: {
-                'Content-Type': 'application/json',
-                ...this.config.headers,
-                ...options.headers
-            }
+            headers
         };
     }
 
     buildUrl(url) {
-        if (url.startsWith('http')) {
+        if (isAbsoluteUrl(url)) {
             return url;
         }
         
@@ -621,15 +909,12 @@ export class VelocityNetwork {
     shouldRetry(error, attempt, maxRetries) {
         if (attempt >= maxRetries) return false;
         
-        // Don't retry certain status codes
-        if (typeof error === 'object' && error.status) {
-            const noRetryStatuses = [400, 401, 403, 404, 422];
-            if (noRetryStatuses.includes(error.status)) {
-                return false;
-            }
+        // HTTP errors are retried only when the status says a later attempt may succeed
+        if (error instanceof HttpError) {
+            return error.retryable;
         }
         
-        // Retry on network errors and 5xx status codes
+        // Retry on network errors and timeouts
         return true;
     }
 
@@ -698,7 +983,8 @@ export class VelocityNetwork {
         return {
             activeRequests: this.activeRequests.size,
             cacheSize: this.cache.size,
-            offlineQueueSize: this.offlineQueue.length,
+            offlineQueueSize: this.outbox.size,
+            connections: this.connections.size,
             isOnline: this.isOnline,
             rateLimiters: this.rateLimiters.size,
             authTokens: this.authTokens.size,
@@ -714,8 +1000,8 @@ export class VelocityNetwork {
         this.logger.info('Network cache cleared');
     }
 
-    clearOfflineQueue() {
-        this.offlineQueue = [];
+    async clearOfflineQueue() {
+        await this.outbox.clear();
         this.logger.info('Offline queue cleared');
     }
 }
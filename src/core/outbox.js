@@ -0,0 +1,386 @@
+/**
+ * VelocityOutbox - Durable offline request queue for VelocityJS
+ * Writes made while offline are stored in IndexedDB and replayed in order from the page or the service worker
+ */
+
+import { isBrowser } from './utils.js';
+
+export const OUTBOX_DB_NAME = 'VelocityOutbox';
+export const OUTBOX_SYNC_TAG = 'background-sync';
+export const OUTBOX_MESSAGE_TYPE = 'velocity-outbox';
+
+/*
+ * The functions below are also copied into the generated service worker (see OUTBOX_WORKER_SOURCE),
+ * so they must only use their arguments and globals available in workers.
+ */
+
+function openOutboxDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains('requests')) {
+                request.result.createObjectStore('requests', { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function outboxRequest(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction('requests', mode);
+        const request = operation(transaction.objectStore('requests'));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Queued requests, oldest first
+ */
+function readOutbox(db) {
+    return outboxRequest(db, 'readonly', store => store.getAll());
+}
+
+function deserializeBody(body) {
+    if (!body) return undefined;
+
+    switch (body.type) {
+        case 'params':
+            return new URLSearchParams(body.value);
+        case 'form': {
+            const formData = new FormData();
+            body.value.forEach(([name, value]) => formData.append(name, value));
+            return formData;
+        }
+        default:
+            return body.value;
+    }
+}
+
+/**
+ * Send queued requests in order; stops at the first one that has to be retried later
+ * `report(event, detail)` receives 'replayed', 'conflict', 'failed', 'retry' and 'drained'
+ * Resolves true when the outbox is empty
+ */
+async function replayOutbox(db, report, hooks = {}) {
+    const run = async () => {
+        const entries = await readOutbox(db);
+
+        for (const entry of entries) {
+            const headers = { ...entry.headers };
+
+            // client-wins: drop preconditions so the queued write overwrites the server copy
+            if (entry.strategy === 'client-wins') {
+                Object.keys(headers)
+                    .filter(name => /^if-(match|unmodified-since)$/i.test(name))
+                    .forEach(name => delete headers[name]);
+            }
+
+            let init = { method: entry.method, headers, body: deserializeBody(entry.body) };
+            if (hooks.prepare) {
+                init = await hooks.prepare(init, entry);
+            }
+
+            let response;
+            try {
+                response = await fetch(entry.url, init);
+            } catch (error) {
+                entry.attempts = (entry.attempts || 0) + 1;
+                await outboxRequest(db, 'readwrite', store => store.put(entry));
+                report('retry', { id: entry.id, url: entry.url, method: entry.method, error: String(error?.message || error) });
+                return false;
+            }
+
+            const result = {
+                id: entry.id,
+                url: entry.url,
+                method: entry.method,
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                body: await response.text()
+            };
+
+            // Server trouble: keep this entry and everything after it for the next attempt
+            if (response.status >= 500 || response.status === 429) {
+                entry.attempts = (entry.attempts || 0) + 1;
+                await outboxRequest(db, 'readwrite', store => store.put(entry));
+                report('retry', result);
+                return false;
+            }
+
+            if (response.status === 409 || response.status === 412) {
+                const decision = hooks.resolveConflict ? await hooks.resolveConflict(entry, result) : 'drop';
+                if (decision === 'retry') {
+                    report('retry', { ...result, conflict: true });
+                    return false;
+                }
+                await outboxRequest(db, 'readwrite', store => store.delete(entry.id));
+                report('conflict', result);
+                continue;
+            }
+
+            await outboxRequest(db, 'readwrite', store => store.delete(entry.id));
+            report(response.ok ? 'replayed' : 'failed', result);
+        }
+
+        report('drained', {});
+        return true;
+    };
+
+    // Page and service worker may both try to replay; only one at a time
+    const locks = globalThis.navigator?.locks;
+    return locks ? locks.request('velocity-outbox', run) : run();
+}
+
+/**
+ * Replay code for the generated service worker
+ */
+export const OUTBOX_WORKER_SOURCE = `
+const OUTBOX_DB_NAME = '${OUTBOX_DB_NAME}';
+
+${openOutboxDatabase.toString()}
+
+${outboxRequest.toString()}
+
+${readOutbox.toString()}
+
+${deserializeBody.toString()}
+
+${replayOutbox.toString()}
+
+async function reportToClients(event, detail) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type: '${OUTBOX_MESSAGE_TYPE}', event, detail }));
+}
+
+async function handleBackgroundSync() {
+    const db = await openOutboxDatabase(OUTBOX_DB_NAME);
+    const done = await replayOutbox(db, reportToClients);
+    db.close();
+    // Rejecting asks the browser to fire the sync event again later
+    if (!done) {
+        throw new Error('Outbox replay incomplete');
+    }
+}
+`;
+
+/**
+ * Request body in a form IndexedDB can store
+ */
+export function serializeBody(body) {
+    if (body === undefined || body === null) return null;
+
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+        return { type: 'params', value: body.toString() };
+    }
+
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        return { type: 'form', value: Array.from(body.entries()) };
+    }
+
+    // Strings, Blobs, ArrayBuffers and typed arrays are structured-cloneable
+    return { type: 'raw', value: body };
+}
+
+export class VelocityOutbox {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.dbName = options.dbName || OUTBOX_DB_NAME;
+        this.listeners = new Map();
+        // Promises of requests queued by this page, settled when they are replayed
+        this.waiting = new Map();
+        this.size = 0;
+        this.replaying = null;
+        this.db = null;
+        // Enqueues run one after another so ids follow call order
+        this.writes = Promise.resolve();
+
+        this.ready = isBrowser && typeof indexedDB !== 'undefined'
+            ? openOutboxDatabase(this.dbName).then(db => {
+                this.db = db;
+                return this.refreshSize();
+            }).catch(error => {
+                this.logger.error('Failed to open offline outbox', error);
+                this.db = null;
+            })
+            : Promise.resolve();
+
+        this.listenToServiceWorker();
+    }
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        const listeners = this.listeners.get(event);
+        const index = listeners ? listeners.indexOf(callback) : -1;
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(event, detail) {
+        (this.listeners.get(event) || []).forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                this.logger.error('Outbox event callback error:', error);
+            }
+        });
+    }
+
+    /**
+     * Results of replays run by the service worker
+     */
+    listenToServiceWorker() {
+        if (!isBrowser || !navigator.serviceWorker) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === OUTBOX_MESSAGE_TYPE) {
+                this.handleResult(event.data.event, event.data.detail);
+            }
+        });
+    }
+
+    handleResult(event, detail) {
+        const waiters = this.waiting.get(detail.id);
+
+        if (waiters && event !== 'retry') {
+            this.waiting.delete(detail.id);
+            // Same shape as the original request's result: a Response
+            waiters.forEach(({ resolve }) => resolve(new Response(detail.body, {
+                status: detail.status,
+                statusText: detail.statusText,
+                headers: detail.headers
+            })));
+        }
+
+        if (event !== 'retry') {
+            this.refreshSize();
+        }
+
+        this.emit(event, detail);
+    }
+
+    async refreshSize() {
+        if (!this.db) return;
+        this.size = await outboxRequest(this.db, 'readonly', store => store.count());
+    }
+
+    /**
+     * Store a request; resolves with its entry
+     * `strategy` 'last-write-wins' replaces older queued writes to the same URL
+     */
+    enqueue(request, strategy = 'server-wins') {
+        const write = this.writes.then(() => this.add(request, strategy));
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    async add(request, strategy) {
+        await this.ready;
+        if (!this.db) {
+            throw new Error('Request failed: Network offline and no offline storage');
+        }
+
+        const entry = {
+            url: request.url,
+            method: (request.method || 'POST').toUpperCase(),
+            headers: { ...request.headers },
+            body: serializeBody(request.body),
+            strategy: typeof strategy === 'string' ? strategy : 'custom',
+            timestamp: Date.now(),
+            attempts: 0
+        };
+
+        const replaced = strategy === 'last-write-wins'
+            ? (await readOutbox(this.db)).filter(item => item.url === entry.url && item.method === entry.method)
+            : [];
+
+        for (const item of replaced) {
+            await outboxRequest(this.db, 'readwrite', store => store.delete(item.id));
+        }
+
+        entry.id = await outboxRequest(this.db, 'readwrite', store => store.add(entry));
+
+        // Callers of replaced writes get the response of the write that replaced them
+        replaced.forEach(item => {
+            const waiters = this.waiting.get(item.id) || [];
+            this.waiting.delete(item.id);
+            this.waiting.set(entry.id, [...(this.waiting.get(entry.id) || []), ...waiters]);
+            this.emit('replaced', item);
+        });
+
+        await this.refreshSize();
+        this.emit('queued', entry);
+        this.registerSync();
+
+        return entry;
+    }
+
+    /**
+     * Promise for the response of a request queued by this page
+     */
+    wait(id) {
+        return new Promise((resolve, reject) => {
+            this.waiting.set(id, [...(this.waiting.get(id) || []), { resolve, reject }]);
+        });
+    }
+
+    /**
+     * Ask the service worker to replay once the browser is back online
+     */
+    async registerSync() {
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            await registration?.sync?.register(OUTBOX_SYNC_TAG);
+        } catch (error) {
+            this.logger.debug('Background Sync unavailable, replaying from the page', error);
+        }
+    }
+
+    /**
+     * Replay from the page; concurrent calls share one run
+     */
+    replay(hooks = {}) {
+        if (!this.replaying) {
+            this.replaying = this.ready
+                .then(() => this.writes)
+                .then(() => this.db ? replayOutbox(this.db, (event, detail) => this.handleResult(event, detail), hooks) : true)
+                .then(async done => {
+                    await this.refreshSize();
+                    return done;
+                })
+                .finally(() => {
+                    this.replaying = null;
+                });
+        }
+        return this.replaying;
+    }
+
+    async entries() {
+        await this.ready;
+        return this.db ? readOutbox(this.db) : [];
+    }
+
+    async clear() {
+        await this.ready;
+        if (this.db) {
+            await outboxRequest(this.db, 'readwrite', store => store.clear());
+        }
+        this.waiting.forEach(waiters => waiters.forEach(({ reject }) => reject(new Error('Offline request discarded'))));
+        this.waiting.clear();
+        this.size = 0;
+    }
+}
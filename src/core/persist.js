@@ -0,0 +1,244 @@
+/**
+ * VelocityStorePersistence - Persisted VelocityStore state
+ * Rehydrates from VelocityStorage, writes back debounced after commits and syncs between tabs
+ */
+
+import { isBrowser } from './utils.js';
+
+const STORAGE_TYPES = ['local', 'session', 'indexed'];
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+        if (current[key] === null || typeof current[key] !== 'object') {
+            current[key] = {};
+        }
+        return current[key];
+    }, object);
+    target[last] = value;
+}
+
+export class VelocityStorePersistence {
+    constructor(store, storage, options = {}, logger = store.logger) {
+        this.store = store;
+        this.storage = storage;
+        this.logger = logger;
+        this.options = {
+            key: null,
+            storage: 'local',
+            paths: null,
+            version: 1,
+            migrate: null,
+            debounce: 100,
+            sync: true,
+            ...options
+        };
+
+        // Store ids change on every load, so the storage key has to be given
+        if (!this.options.key) {
+            throw new Error('[VelocityStore] persist requires a key');
+        }
+
+        if (!STORAGE_TYPES.includes(this.options.storage)) {
+            throw new Error(`[VelocityStore] Unknown persist storage: ${this.options.storage}`);
+        }
+
+        this.timer = null;
+        this.applying = false;
+        this.channel = null;
+        this.cleanups = [];
+        this.unsubscribe = () => {};
+        this.ready = Promise.resolve();
+
+        // Nothing to restore from during server rendering
+        if (!isBrowser) return;
+
+        this.unsubscribe = store.subscribe(() => {
+            if (!this.applying) {
+                this.schedule();
+            }
+        });
+
+        // Local and session storage rehydrate synchronously, so state is ready right after createStore()
+        this.ready = Promise.resolve(this.restore()).catch(error => {
+            this.logger.error(`Failed to restore persisted store: ${this.options.key}`, error);
+        });
+
+        this.setupSync();
+    }
+
+    /**
+     * Read the saved snapshot and merge it into the store
+     */
+    restore() {
+        if (this.options.storage === 'indexed') {
+            return this.storage.dbReady
+                .then(() => this.storage.getIndexed(this.options.key))
+                .then(saved => this.apply(saved));
+        }
+
+        return this.apply(this.read());
+    }
+
+    read() {
+        return this.options.storage === 'session'
+            ? this.storage.getSession(this.options.key)
+            : this.storage.getLocal(this.options.key);
+    }
+
+    /**
+     * Migrate a saved { version, state } snapshot if needed, then merge it
+     */
+    apply(saved) {
+        if (!saved || typeof saved !== 'object' || !('state' in saved)) return;
+
+        const { version, migrate } = this.options;
+
+        if (saved.version === version) {
+            return this.merge(saved.state);
+        }
+
+        if (typeof migrate !== 'function') {
+            this.logger.warn(`Discarding persisted store ${this.options.key}: version ${saved.version} != ${version}`);
+            return;
+        }
+
+        const migrated = migrate(saved.state, saved.version);
+        if (migrated && typeof migrated.then === 'function') {
+            return migrated.then(state => {
+                this.merge(state);
+                this.schedule();
+            });
+        }
+
+        this.merge(migrated);
+        // Store the migrated shape right away
+        this.schedule();
+    }
+
+    merge(savedState) {
+        if (!savedState || typeof savedState !== 'object') return;
+
+        const nextState = structuredClone(this.store.rawState);
+
+        if (this.options.paths) {
+            this.options.paths.forEach(path => {
+                const value = getPath(savedState, path);
+                if (value !== undefined) {
+                    setPath(nextState, path, value);
+                }
+            });
+        } else {
+            Object.assign(nextState, savedState);
+        }
+
+        this.applying = true;
+        try {
+            this.store.replaceState(nextState);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Only the configured paths are written
+     */
+    snapshot() {
+        const state = this.store.rawState;
+
+        if (!this.options.paths) {
+            return structuredClone(state);
+        }
+
+        const picked = {};
+        this.options.paths.forEach(path => {
+            const value = getPath(state, path);
+            if (value !== undefined) {
+                setPath(picked, path, structuredClone(value));
+            }
+        });
+        return picked;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.options.debounce);
+    }
+
+    /**
+     * Write pending changes now
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const data = { version: this.options.version, state: this.snapshot() };
+
+        try {
+            if (this.options.storage === 'indexed') {
+                await this.storage.dbReady;
+            }
+            await this.storage.set(this.options.key, data, { storage: this.options.storage });
+            // Storage events only cover localStorage
+            this.channel?.postMessage(data);
+        } catch (error) {
+            this.logger.error(`Failed to persist store: ${this.options.key}`, error);
+        }
+    }
+
+    /**
+     * Pick up writes from other tabs: storage events for localStorage, BroadcastChannel for IndexedDB
+     */
+    setupSync() {
+        if (!isBrowser || !this.options.sync || this.options.storage === 'session') return;
+
+        if (this.options.storage === 'local') {
+            const onStorage = (event) => {
+                if (event.key !== this.options.key || event.storageArea !== localStorage || !event.newValue) return;
+
+                try {
+                    this.apply(JSON.parse(event.newValue).value);
+                } catch (error) {
+                    this.logger.warn(`Ignoring unreadable persisted store update: ${this.options.key}`, error);
+                }
+            };
+            window.addEventListener('storage', onStorage);
+            this.cleanups.push(() => window.removeEventListener('storage', onStorage));
+        } else if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(`velocity-store:${this.options.key}`);
+            this.channel.onmessage = (event) => this.apply(event.data);
+            this.cleanups.push(() => this.channel.close());
+        }
+
+        // Do not lose the last debounced write when the page goes away
+        const onPageHide = () => {
+            if (this.timer) {
+                this.flush();
+            }
+        };
+        window.addEventListener('pagehide', onPageHide);
+        this.cleanups.push(() => window.removeEventListener('pagehide', onPageHide));
+    }
+
+    /**
+     * Remove the saved snapshot
+     */
+    async clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.storage.remove(this.options.key, { storage: this.options.storage });
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        this.unsubscribe();
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        this.channel = null;
+    }
+}
@@ -3,6 +3,8 @@
  * Progressive Web App features and capabilities
  */
 
+import { VelocityOutbox, OUTBOX_WORKER_SOURCE } from './outbox.js';
+
 class VelocityPWA {
     constructor(config = {}) {
         this.config = {
@@ -51,6 +53,8 @@ class VelocityPWA {
         this.isOnline = navigator.onLine;
         this.generatedIcons = new Map();
         this.iconCache = new Map();
+        // Shared with VelocityNetwork when created by the app
+        this.outbox = this.config.outbox || new VelocityOutbox(console);
         
         this.init();
     }
@@ -750,10 +754,8 @@ self.addEventListener('sync', event => {
     }
 });
 
-async function handleBackgroundSync() {
-    console.log('Background sync triggered');
-    // Handle offline form submissions, data sync, etc.
-}
+// Offline outbox: replays queued writes in order and reports results to open pages
+${OUTBOX_WORKER_SOURCE}
 
 // Push notifications
 self.addEventListener('push', event => {
@@ -1010,9 +1012,6 @@ self.addEventListener('message', event => {
      * Setup background sync
      */
     setupBackgroundSync() {
-        // Register background sync when user goes offline or submits forms
-        this.offlineQueue = [];
-        
         // Intercept form submissions for offline support
         document.addEventListener('submit', (e) => {
             if (!this.isOnline && e.target.dataset.syncable) {
@@ -1023,24 +1022,18 @@ self.addEventListener('message', event => {
     }
     
     /**
-     * Queue data for background sync
+     * Queue a form submission in the offline outbox; it registers the background sync
      */
     async queueForSync(form) {
         const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
         
-        this.offlineQueue.push({
-            timestamp: Date.now(),
+        await this.outbox.enqueue({
             url: form.action,
             method: form.method,
-            data
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.fromEntries(formData.entries()))
         });
         
-        // Register sync
-        if (this.registration && this.registration.sync) {
-            await this.registration.sync.register('background-sync');
-        }
-        
         this.showOfflineQueuedMessage();
     }
     
@@ -1048,24 +1041,12 @@ self.addEventListener('message', event => {
      * Sync offline data when back online
      */
     async syncOfflineData() {
-        if (this.offlineQueue.length === 0) return;
+        if (this.outbox.size === 0) return;
         
         console.log('Syncing offline data...');
         
-        for (const item of this.offlineQueue) {
-            try {
-                await fetch(item.url, {
-                    method: item.method,
-                    body: JSON.stringify(item.data),
-                    headers: { 'Content-Type': 'application/json' }
-                });
-                
-                // Remove from queue on success
-                this.offlineQueue = this.offlineQueue.filter(i => i !== item);
-            } catch (error) {
-                console.error('Failed to sync item:', error);
-            }
-        }
+        // Replays started by VelocityNetwork or the service worker are not run twice
+        return this.outbox.replay();
     }
     
     /**
@@ -1125,7 +1106,7 @@ self.addEventListener('message', event => {
             isOnline: this.isOnline,
             hasServiceWorker: !!this.registration,
             hasManifest: !!this.manifest,
-            offlineQueueLength: this.offlineQueue?.length || 0
+            offlineQueueLength: this.outbox.size
         };
     }
     
@@ -0,0 +1,396 @@
+/**
+ * VelocityQuery - Server-state cache for VelocityJS
+ * Stale-while-revalidate queries with request deduplication, invalidation and optimistic updates
+ */
+
+import { isBrowser } from './utils.js';
+import { signal, batch } from './reactive.js';
+
+const DEFAULT_OPTIONS = {
+    staleTime: 0,
+    cacheTime: 5 * 60 * 1000,
+    refetchOnFocus: true,
+    refetchOnReconnect: true,
+    enabled: true
+};
+
+/**
+ * Keys are strings or arrays: 'todos', ['todos', { page: 2 }]
+ */
+export function normalizeQueryKey(key) {
+    return Array.isArray(key) ? key : [key];
+}
+
+export function hashQueryKey(key) {
+    return JSON.stringify(normalizeQueryKey(key), (name, value) => {
+        // Object key order must not change the hash
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.keys(value).sort().reduce((sorted, prop) => {
+                sorted[prop] = value[prop];
+                return sorted;
+            }, {});
+        }
+        return value;
+    });
+}
+
+/**
+ * Timers that do not keep a server process alive
+ */
+function schedule(fn, ms) {
+    const timer = setTimeout(fn, ms);
+    timer?.unref?.();
+    return timer;
+}
+
+/**
+ * One cached query; reading its fields inside a render or effect subscribes to changes
+ */
+export class VelocityQuery {
+    constructor(client, key, fetcher, options) {
+        this.client = client;
+        this.key = normalizeQueryKey(key);
+        this.hash = hashQueryKey(key);
+        this.fetcher = fetcher;
+        this.options = options;
+        this.promise = null;
+        this.abortController = null;
+        this.staleTimer = null;
+        this.gcTimer = null;
+        this.subscribers = new Set();
+        // Bumped on every data write, so results of superseded fetches are dropped
+        this.version = 0;
+
+        this.state = signal({
+            status: 'loading',
+            data: undefined,
+            error: null,
+            updatedAt: 0,
+            isFetching: false,
+            isStale: true
+        });
+    }
+
+    get data() { return this.state.value.data; }
+    get error() { return this.state.value.error; }
+    get status() { return this.state.value.status; }
+    get updatedAt() { return this.state.value.updatedAt; }
+    get isFetching() { return this.state.value.isFetching; }
+    get isStale() { return this.state.value.isStale; }
+    get isLoading() { return this.status === 'loading'; }
+    get isError() { return this.status === 'error'; }
+    get isSuccess() { return this.status === 'success'; }
+
+    // Entries seeded with setQueryData() have no fetcher until a query() call brings one
+    get canFetch() { return this.options.enabled !== false && typeof this.fetcher === 'function'; }
+
+    setState(changes) {
+        this.state.value = { ...this.state.peek(), ...changes };
+        this.subscribers.forEach(callback => callback(this));
+    }
+
+    /**
+     * Fetch unless a request is already in flight; resolves with the data
+     */
+    fetch() {
+        if (this.promise) {
+            return this.promise;
+        }
+        if (typeof this.fetcher !== 'function') {
+            return Promise.resolve(this.data);
+        }
+
+        const version = this.version;
+        this.abortController = typeof AbortController === 'function' ? new AbortController() : null;
+        this.setState({ isFetching: true });
+
+        this.promise = Promise.resolve()
+            .then(() => this.fetcher({ key: this.key, signal: this.abortController?.signal }))
+            .then(data => {
+                // Data was written meanwhile (optimistic update); keep it
+                if (this.version !== version) {
+                    this.setState({ isFetching: false });
+                    return this.data;
+                }
+                this.setData(data);
+                return data;
+            }, error => {
+                if (error?.name === 'AbortError') {
+                    this.setState({ isFetching: false });
+                    return this.data;
+                }
+
+                // Data from an earlier fetch stays usable
+                this.setState({
+                    status: this.state.peek().updatedAt ? 'success' : 'error',
+                    error,
+                    isFetching: false
+                });
+                this.client.logger.error(`Query failed: ${this.hash}`, error);
+                throw error;
+            })
+            .finally(() => {
+                this.promise = null;
+                this.abortController = null;
+                this.scheduleGc();
+            });
+
+        return this.promise;
+    }
+
+    refetch() {
+        return this.fetch();
+    }
+
+    /**
+     * Fetch in the background when the cached data is stale
+     */
+    revalidate() {
+        if (!this.canFetch || !this.isStale || this.promise) return;
+        this.fetch().catch(() => {});
+    }
+
+    /**
+     * Replace the cached data; `updater` may be a function of the current data
+     */
+    setData(updater) {
+        const current = this.state.peek().data;
+        const data = typeof updater === 'function' ? updater(current) : updater;
+
+        this.version++;
+        this.setState({
+            status: 'success',
+            data,
+            error: null,
+            updatedAt: Date.now(),
+            isFetching: false,
+            isStale: this.options.staleTime <= 0
+        });
+        this.scheduleStale();
+    }
+
+    scheduleStale() {
+        clearTimeout(this.staleTimer);
+        const { staleTime } = this.options;
+
+        if (staleTime > 0 && staleTime !== Infinity) {
+            this.staleTimer = schedule(() => this.setState({ isStale: true }), staleTime);
+        }
+    }
+
+    /**
+     * Mark stale and refetch
+     */
+    invalidate() {
+        clearTimeout(this.staleTimer);
+        this.setState({ isStale: true });
+        return this.canFetch ? this.fetch() : Promise.resolve(this.data);
+    }
+
+    cancel() {
+        this.abortController?.abort();
+    }
+
+    /**
+     * Call `callback(query)` on every change; subscribed queries are never garbage collected
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        clearTimeout(this.gcTimer);
+
+        return () => {
+            this.subscribers.delete(callback);
+            this.scheduleGc();
+        };
+    }
+
+    /**
+     * Drop the entry once it has been unused for `cacheTime`
+     */
+    scheduleGc() {
+        clearTimeout(this.gcTimer);
+        if (this.subscribers.size > 0 || this.promise || this.options.cacheTime === Infinity) return;
+
+        this.gcTimer = schedule(() => this.client.remove(this.key), this.options.cacheTime);
+    }
+
+    destroy() {
+        clearTimeout(this.staleTimer);
+        clearTimeout(this.gcTimer);
+        this.cancel();
+        this.subscribers.clear();
+    }
+}
+
+export class VelocityQueryClient {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.defaults = { ...DEFAULT_OPTIONS, ...options };
+        this.queries = new Map();
+        this.cleanups = [];
+
+        this.setupRefetchTriggers();
+    }
+
+    setupRefetchTriggers() {
+        if (!isBrowser) return;
+
+        const listen = (target, event, option, condition = () => true) => {
+            const handler = () => {
+                if (!condition()) return;
+                this.queries.forEach(query => {
+                    if (query.options[option]) {
+                        query.revalidate();
+                    }
+                });
+            };
+            target.addEventListener(event, handler);
+            this.cleanups.push(() => target.removeEventListener(event, handler));
+        };
+
+        listen(window, 'focus', 'refetchOnFocus');
+        listen(document, 'visibilitychange', 'refetchOnFocus', () => document.visibilityState === 'visible');
+        listen(window, 'online', 'refetchOnReconnect');
+    }
+
+    /**
+     * Cached query for `key`; returns cached data at once and revalidates it when stale
+     */
+    query(key, fetcher, options = {}) {
+        const query = this.ensure(key, fetcher, options);
+        query.revalidate();
+        return query;
+    }
+
+    /**
+     * Entry for `key` without triggering a fetch
+     */
+    ensure(key, fetcher, options = {}) {
+        const hash = hashQueryKey(key);
+        let query = this.queries.get(hash);
+
+        if (!query) {
+            query = new VelocityQuery(this, key, fetcher, { ...this.defaults, ...options });
+            this.queries.set(hash, query);
+        } else {
+            // Latest closure and options win
+            if (fetcher) query.fetcher = fetcher;
+            Object.assign(query.options, options);
+        }
+
+        query.scheduleGc();
+        return query;
+    }
+
+    /**
+     * Data for `key`, from the cache when fresh
+     */
+    fetchQuery(key, fetcher, options = {}) {
+        const query = this.query(key, fetcher, options);
+        return query.isStale || query.promise ? query.fetch() : Promise.resolve(query.data);
+    }
+
+    get(key) {
+        return this.queries.get(hashQueryKey(key)) || null;
+    }
+
+    getQueryData(key) {
+        return this.get(key)?.data;
+    }
+
+    /**
+     * Write data into the cache without fetching; creates the entry if needed
+     */
+    setQueryData(key, updater) {
+        let query = this.get(key);
+
+        if (!query) {
+            query = new VelocityQuery(this, key, null, { ...this.defaults });
+            this.queries.set(query.hash, query);
+        }
+
+        query.setData(updater);
+        query.scheduleGc();
+        return query.data;
+    }
+
+    /**
+     * Queries whose key starts with `key`: invalidate('todos') matches ['todos', 1]
+     */
+    findAll(key) {
+        if (key === undefined) {
+            return Array.from(this.queries.values());
+        }
+
+        const prefix = normalizeQueryKey(key).map(part => hashQueryKey(part));
+        return Array.from(this.queries.values()).filter(query =>
+            prefix.every((part, index) => index < query.key.length && hashQueryKey(query.key[index]) === part)
+        );
+    }
+
+    /**
+     * Mark matching queries stale and refetch them
+     */
+    invalidate(key) {
+        return Promise.allSettled(this.findAll(key).map(query => query.invalidate()));
+    }
+
+    remove(key) {
+        const hash = hashQueryKey(key);
+        this.queries.get(hash)?.destroy();
+        this.queries.delete(hash);
+    }
+
+    /**
+     * Run a mutation with optional optimistic cache updates, rolled back if it fails
+     * options.optimistic: { key, update(data, variables) } or an array of them
+     * options.invalidate: keys to refetch after the mutation settles
+     */
+    async mutate(mutationFn, variables, options = {}) {
+        const optimistic = [].concat(options.optimistic || []);
+        const previous = [];
+
+        batch(() => {
+            optimistic.forEach(({ key, update }) => {
+                const query = this.get(key);
+                previous.push({ key, existed: Boolean(query), data: query?.data });
+                this.get(key)?.cancel();
+                this.setQueryData(key, data => update(data, variables));
+            });
+        });
+
+        try {
+            const result = await mutationFn(variables);
+            await options.onSuccess?.(result, variables);
+            return result;
+        } catch (error) {
+            batch(() => {
+                previous.forEach(({ key, existed, data }) => {
+                    if (existed) {
+                        this.setQueryData(key, data);
+                    } else {
+                        this.remove(key);
+                    }
+                });
+            });
+            this.logger.warn('Mutation failed, optimistic updates rolled back', error);
+            await options.onError?.(error, variables);
+            throw error;
+        } finally {
+            const keys = [].concat(options.invalidate || []);
+            // Refetch in the background so the server's version replaces the optimistic one
+            keys.forEach(key => this.invalidate(key));
+        }
+    }
+
+    clear() {
+        this.queries.forEach(query => query.destroy());
+        this.queries.clear();
+    }
+
+    destroy() {
+        this.clear();
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+    }
+}
@@ -0,0 +1,339 @@
+/**
+ * VelocityReactive - Signals and dependency tracking for VelocityJS
+ * Records which values a computation reads so only computations that read a changed value run again
+ */
+
+// Key tracked by operations that depend on the set of keys (Object.keys, for...in, array length)
+export const ITERATE_KEY = Symbol('velocity.iterate');
+
+const RAW = Symbol('velocity.raw');
+
+// target -> key -> Set of observers
+const targetDependencies = new WeakMap();
+
+let activeObserver = null;
+
+// Effects notified inside batch() run once when the outermost batch ends
+let batchDepth = 0;
+const pendingEffects = new Set();
+
+// Effects re-triggering each other more often than this are treated as a loop
+const MAX_EFFECT_PASSES = 100;
+
+/**
+ * Record that the running observer read `target[key]`
+ */
+export function track(target, key) {
+    if (!activeObserver) return;
+
+    let dependencies = targetDependencies.get(target);
+    if (!dependencies) {
+        dependencies = new Map();
+        targetDependencies.set(target, dependencies);
+    }
+
+    let observers = dependencies.get(key);
+    if (!observers) {
+        observers = new Set();
+        dependencies.set(key, observers);
+    }
+
+    if (!observers.has(activeObserver)) {
+        observers.add(activeObserver);
+        activeObserver.sources.add(observers);
+    }
+}
+
+/**
+ * Notify observers that read `target[key]`
+ */
+export function trigger(target, key) {
+    const observers = targetDependencies.get(target)?.get(key);
+    if (!observers) return;
+
+    batch(() => {
+        Array.from(observers).forEach(observer => observer.notify());
+    });
+}
+
+/**
+ * Group writes so dependent effects run once, after `fn` returns
+ */
+export function batch(fn) {
+    batchDepth++;
+
+    try {
+        return fn();
+    } finally {
+        if (--batchDepth === 0) {
+            flushEffects();
+        }
+    }
+}
+
+function flushEffects() {
+    let passes = 0;
+
+    batchDepth++;
+    try {
+        while (pendingEffects.size > 0) {
+            if (++passes > MAX_EFFECT_PASSES) {
+                pendingEffects.clear();
+                throw new Error('[VelocityReactive] Effects keep re-triggering each other');
+            }
+
+            const effects = Array.from(pendingEffects);
+            pendingEffects.clear();
+            effects.forEach(effect => effect.run());
+        }
+    } finally {
+        batchDepth--;
+    }
+}
+
+/**
+ * Run `fn` with `observer` collecting its dependencies; previous dependencies are dropped first
+ */
+export function observe(observer, fn) {
+    cleanup(observer);
+
+    const previous = activeObserver;
+    activeObserver = observer;
+
+    try {
+        return fn();
+    } finally {
+        activeObserver = previous;
+    }
+}
+
+/**
+ * Run `fn` without recording dependencies
+ */
+export function untracked(fn) {
+    const previous = activeObserver;
+    activeObserver = null;
+
+    try {
+        return fn();
+    } finally {
+        activeObserver = previous;
+    }
+}
+
+export function cleanup(observer) {
+    observer.sources.forEach(observers => observers.delete(observer));
+    observer.sources.clear();
+}
+
+/**
+ * Unwrap a reactive proxy to its plain object
+ */
+export function toRaw(value) {
+    return (value && value[RAW]) || value;
+}
+
+/**
+ * Create a `reactive(object)` function whose proxies share `hooks`
+ * `hooks.beforeWrite(target, key)` may throw to reject a write (strict mode)
+ */
+export function createReactive(hooks = {}) {
+    const proxies = new WeakMap();
+
+    const handler = {
+        get(target, key, receiver) {
+            if (key === RAW) return target;
+
+            const value = Reflect.get(target, key, receiver);
+            if (typeof key === 'symbol') return value;
+
+            track(target, key);
+            return value !== null && typeof value === 'object' ? reactive(value) : value;
+        },
+
+        has(target, key) {
+            track(target, key);
+            return Reflect.has(target, key);
+        },
+
+        ownKeys(target) {
+            track(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            return Reflect.ownKeys(target);
+        },
+
+        set(target, key, value, receiver) {
+            hooks.beforeWrite?.(target, key);
+
+            const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+            const oldValue = target[key];
+            const oldLength = Array.isArray(target) ? target.length : 0;
+            const rawValue = toRaw(value);
+            const result = Reflect.set(target, key, rawValue, receiver);
+
+            if (!hadKey) {
+                trigger(target, ITERATE_KEY);
+            }
+            if (!hadKey || !Object.is(oldValue, rawValue)) {
+                trigger(target, key);
+            }
+            if (Array.isArray(target) && target.length !== oldLength) {
+                trigger(target, 'length');
+            }
+
+            return result;
+        },
+
+        deleteProperty(target, key) {
+            hooks.beforeWrite?.(target, key);
+
+            const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+            const result = Reflect.deleteProperty(target, key);
+
+            if (hadKey) {
+                trigger(target, key);
+                trigger(target, ITERATE_KEY);
+            }
+
+            return result;
+        }
+    };
+
+    function reactive(target) {
+        target = toRaw(target);
+
+        // Only plain objects and arrays are proxied
+        const prototype = Object.getPrototypeOf(target);
+        if (!Array.isArray(target) && prototype !== Object.prototype && prototype !== null) {
+            return target;
+        }
+
+        if (!proxies.has(target)) {
+            proxies.set(target, new Proxy(target, handler));
+        }
+        return proxies.get(target);
+    }
+
+    return reactive;
+}
+
+/**
+ * Lazily evaluated, cached value that recomputes only after one of its dependencies changed
+ */
+export class Computed {
+    constructor(getter) {
+        this.getter = getter;
+        this.sources = new Set();
+        this.dirty = true;
+        this.cached = undefined;
+    }
+
+    notify() {
+        if (!this.dirty) {
+            this.dirty = true;
+            trigger(this, 'value');
+        }
+    }
+
+    get() {
+        track(this, 'value');
+
+        if (this.dirty) {
+            this.cached = observe(this, this.getter);
+            this.dirty = false;
+        }
+        return this.cached;
+    }
+
+    get value() {
+        return this.get();
+    }
+
+    peek() {
+        return untracked(() => this.get());
+    }
+
+    dispose() {
+        cleanup(this);
+        this.dirty = true;
+    }
+}
+
+/**
+ * Single reactive value: reading `.value` inside a computed/effect subscribes to it
+ */
+export class Signal {
+    constructor(value) {
+        this.current = value;
+    }
+
+    get value() {
+        track(this, 'value');
+        return this.current;
+    }
+
+    set value(value) {
+        if (Object.is(value, this.current)) return;
+
+        this.current = value;
+        trigger(this, 'value');
+    }
+
+    /**
+     * Read without subscribing
+     */
+    peek() {
+        return this.current;
+    }
+}
+
+/**
+ * Side effect that re-runs when anything it read changes
+ * `fn` may return a cleanup function, called before each re-run and on dispose
+ */
+export class Effect {
+    constructor(fn) {
+        this.fn = fn;
+        this.sources = new Set();
+        this.cleanupFn = null;
+        this.active = true;
+    }
+
+    notify() {
+        if (this.active) {
+            pendingEffects.add(this);
+        }
+    }
+
+    run() {
+        if (!this.active) return;
+
+        this.cleanupFn?.();
+        const result = observe(this, this.fn);
+        this.cleanupFn = typeof result === 'function' ? result : null;
+    }
+
+    dispose() {
+        this.active = false;
+        pendingEffects.delete(this);
+        cleanup(this);
+        this.cleanupFn?.();
+        this.cleanupFn = null;
+    }
+}
+
+export function signal(value) {
+    return new Signal(value);
+}
+
+export function computed(getter) {
+    return new Computed(getter);
+}
+
+/**
+ * Run `fn` now and again whenever its dependencies change; returns a dispose function
+ */
+export function effect(fn) {
+    const instance = new Effect(fn);
+    instance.run();
+    return () => instance.dispose();
+}
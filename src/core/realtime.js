@@ -0,0 +1,470 @@
+/**
+ * VelocityRealtime - Server-Sent Events and WebSocket clients for VelocityNetwork
+ * Both reconnect with exponential backoff, watch for silent connections and go through the request interceptors
+ */
+
+import { isBrowser } from './utils.js';
+
+const CONNECTION_DEFAULTS = {
+    reconnect: true,
+    maxRetries: Infinity,
+    // Base delay of the exponential backoff
+    retryDelay: 1000,
+    // Parse message data as JSON (falls back to the raw data)
+    json: false
+};
+
+function parseData(data, json) {
+    if (!json || typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+}
+
+/**
+ * Reconnect, heartbeat and event plumbing shared by both clients
+ */
+class VelocityConnection {
+    constructor(network, url, options) {
+        this.network = network;
+        this.logger = network.logger;
+        this.url = url;
+        this.options = { ...CONNECTION_DEFAULTS, ...options };
+        this.status = 'connecting';
+        this.attempt = 0;
+        this.listeners = new Map();
+        this.reconnectTimer = null;
+        this.watchdog = null;
+        this.closed = false;
+
+        if (isBrowser) {
+            // Do not spend retries while offline; reconnect as soon as the browser is back
+            this.handleOnline = () => {
+                if (this.status === 'offline' || this.status === 'reconnecting') {
+                    clearTimeout(this.reconnectTimer);
+                    this.attempt = 0;
+                    this.open();
+                }
+            };
+            window.addEventListener('online', this.handleOnline);
+        }
+    }
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        const listeners = this.listeners.get(event);
+        const index = listeners ? listeners.indexOf(callback) : -1;
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(event, detail) {
+        (this.listeners.get(event) || []).forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                this.logger.error(`Connection ${event} callback error:`, error);
+            }
+        });
+    }
+
+    /**
+     * Request config after the network's interceptors (auth headers, URL rewrites)
+     */
+    async prepare(headers = {}) {
+        const config = await this.network.applyRequestInterceptors(
+            this.network.mergeConfig(this.url, {
+                method: 'GET',
+                credentials: this.options.credentials,
+                headers: { ...this.options.headers, ...headers }
+            })
+        );
+        // No body; a Content-Type would only force a CORS preflight
+        delete config.headers['Content-Type'];
+        return config;
+    }
+
+    async open() {
+        if (this.closed) return;
+
+        this.status = this.attempt > 0 ? 'reconnecting' : 'connecting';
+        try {
+            await this.connect();
+        } catch (error) {
+            this.handleDrop(error);
+        }
+    }
+
+    handleOpen() {
+        this.attempt = 0;
+        this.status = 'open';
+        this.touch();
+        this.emit('open', { url: this.url });
+    }
+
+    /**
+     * Data arrived; the connection is alive
+     */
+    touch() {
+        clearTimeout(this.watchdog);
+        const timeout = this.idleTimeout();
+        if (!timeout || this.closed) return;
+
+        this.watchdog = setTimeout(() => {
+            this.logger.warn(`No data for ${timeout}ms, reconnecting: ${this.url}`);
+            this.handleDrop(new Error('Heartbeat timeout'));
+        }, timeout);
+    }
+
+    /**
+     * Connection lost or failed; retry unless the error says retrying cannot help
+     */
+    handleDrop(error, fatal = false) {
+        clearTimeout(this.watchdog);
+        this.disconnect();
+        if (this.closed) return;
+
+        if (error) {
+            this.emit('error', error);
+        }
+
+        if (fatal || !this.options.reconnect || this.attempt >= this.options.maxRetries) {
+            this.logger.error(`Connection closed: ${this.url}`, error);
+            this.finish();
+            return;
+        }
+
+        if (isBrowser && !navigator.onLine) {
+            this.status = 'offline';
+            return;
+        }
+
+        const delay = this.network.calculateRetryDelay(this.attempt, this.retryDelay ?? this.options.retryDelay);
+        this.attempt++;
+        this.status = 'reconnecting';
+        this.emit('reconnecting', { attempt: this.attempt, delay });
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    finish() {
+        this.closed = true;
+        this.status = 'closed';
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.watchdog);
+        if (isBrowser) {
+            window.removeEventListener('online', this.handleOnline);
+        }
+        this.network.connections.delete(this);
+        this.emit('close', { url: this.url });
+    }
+
+    /**
+     * Close for good; no more reconnects
+     */
+    close() {
+        if (this.closed) return;
+        this.disconnect();
+        this.finish();
+    }
+}
+
+/**
+ * Server-Sent Events over fetch, so interceptors can add headers (EventSource cannot)
+ * Named events are delivered to on(name); unnamed ones to on('message')
+ */
+export class VelocityEventStream extends VelocityConnection {
+    constructor(network, url, options = {}) {
+        // Servers should send a comment line (": ping") more often than this
+        super(network, url, { heartbeatTimeout: 45000, ...options });
+        this.lastEventId = options.lastEventId || '';
+        // Set by the server's "retry:" field
+        this.retryDelay = null;
+        this.controller = null;
+        this.open();
+    }
+
+    idleTimeout() {
+        return this.options.heartbeatTimeout;
+    }
+
+    async connect() {
+        const config = await this.prepare({
+            Accept: 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            ...(this.lastEventId ? { 'Last-Event-ID': this.lastEventId } : {})
+        });
+        if (this.closed) return;
+
+        this.controller = new AbortController();
+        const controller = this.controller;
+        config.signal = controller.signal;
+        let response = await fetch(config.url, config);
+        // Response interceptors may refresh an expired token and replay the request
+        response = await this.network.applyResponseInterceptors(response, config);
+
+        if (!response.ok) {
+            const error = await this.network.createHttpError(response, config);
+            this.handleDrop(error, !error.retryable);
+            return;
+        }
+
+        // 204 means the server wants the client to stop
+        if (response.status === 204) {
+            this.close();
+            return;
+        }
+
+        if (!/^text\/event-stream/.test(response.headers.get('content-type') || '')) {
+            this.handleDrop(new Error(`Expected text/event-stream from ${this.url}`), true);
+            return;
+        }
+
+        this.handleOpen();
+        await this.read(response.body, controller);
+    }
+
+    async read(body, controller) {
+        const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        let skipLineFeed = false;
+        let event = { type: '', data: '' };
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                this.touch();
+
+                let chunk = value;
+                // A "\r" at the end of the previous chunk may be the first half of "\r\n"
+                if (skipLineFeed && chunk.startsWith('\n')) {
+                    chunk = chunk.slice(1);
+                }
+                skipLineFeed = chunk.endsWith('\r');
+
+                const lines = (buffer + chunk).split(/\r\n|\r|\n/);
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    event = this.parseLine(line, event);
+                }
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            this.handleDrop(error);
+            return;
+        }
+
+        if (!controller.signal.aborted) {
+            this.handleDrop(null);
+        }
+    }
+
+    /**
+     * One line of the event stream format; a blank line dispatches the event
+     */
+    parseLine(line, event) {
+        if (line === '') {
+            this.dispatch(event);
+            return { type: '', data: '' };
+        }
+
+        // Comments keep the connection alive and carry nothing
+        if (line.startsWith(':')) {
+            return event;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        switch (field) {
+            case 'event':
+                event.type = value;
+                break;
+            case 'data':
+                event.data += `${value}\n`;
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.lastEventId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.retryDelay = Number(value);
+                }
+                break;
+        }
+
+        return event;
+    }
+
+    dispatch(event) {
+        if (!event.data) return;
+
+        const type = event.type || 'message';
+        this.emit(type, {
+            type,
+            data: parseData(event.data.slice(0, -1), this.options.json),
+            lastEventId: this.lastEventId
+        });
+    }
+
+    disconnect() {
+        this.controller?.abort();
+        this.controller = null;
+    }
+}
+
+/**
+ * WebSocket with reconnects, heartbeats and a send buffer for messages sent while disconnected
+ * Browsers cannot set headers on WebSockets, so the interceptors' bearer token is sent as a query parameter
+ */
+export class VelocitySocket extends VelocityConnection {
+    constructor(network, url, options = {}) {
+        super(network, url, {
+            protocols: [],
+            // Sent every `interval`; a socket that stays silent for interval + timeout is reconnected
+            heartbeat: { interval: 25000, timeout: 10000, message: 'ping', reply: 'pong' },
+            // Messages kept while disconnected; the oldest are dropped beyond this
+            bufferSize: 100,
+            tokenParam: 'access_token',
+            ...options
+        });
+        this.WebSocket = this.options.WebSocket || globalThis.WebSocket;
+        this.socket = null;
+        this.buffer = [];
+        this.pingTimer = null;
+        this.open();
+    }
+
+    idleTimeout() {
+        const { heartbeat } = this.options;
+        return heartbeat ? heartbeat.interval + heartbeat.timeout : 0;
+    }
+
+    /**
+     * ws(s) URL from the intercepted request config
+     */
+    async resolveUrl() {
+        const config = await this.prepare();
+        const url = new URL(config.url, isBrowser ? window.location.href : undefined);
+        url.protocol = url.protocol.replace(/^http/, 'ws');
+
+        const token = String(config.headers.Authorization || '').match(/^Bearer (.+)$/)?.[1];
+        if (token && this.options.tokenParam) {
+            url.searchParams.set(this.options.tokenParam, token);
+        }
+
+        return url.href;
+    }
+
+    async connect() {
+        if (!this.WebSocket) {
+            throw new Error('WebSocket is not available');
+        }
+
+        const url = await this.resolveUrl();
+        if (this.closed) return;
+
+        const socket = new this.WebSocket(url, this.options.protocols);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.handleOpen();
+            this.startHeartbeat();
+            this.flush();
+        };
+
+        socket.onmessage = (event) => {
+            this.touch();
+            const { heartbeat } = this.options;
+            if (heartbeat && event.data === heartbeat.reply) return;
+
+            this.emit('message', { data: parseData(event.data, this.options.json), event });
+        };
+
+        socket.onclose = (event) => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            // 1000: closed normally by the server; anything else is worth a reconnect
+            this.handleDrop(event.code === 1000 ? null : new Error(`WebSocket closed (${event.code}) ${event.reason || ''}`.trim()));
+        };
+
+        socket.onerror = () => {
+            this.logger.debug(`WebSocket error: ${this.url}`);
+        };
+    }
+
+    startHeartbeat() {
+        clearInterval(this.pingTimer);
+        const { heartbeat } = this.options;
+        if (!heartbeat) return;
+
+        this.pingTimer = setInterval(() => {
+            if (this.socket?.readyState === 1) {
+                this.socket.send(heartbeat.message);
+            }
+        }, heartbeat.interval);
+    }
+
+    /**
+     * Send now when open, otherwise buffer until the socket (re)connects; objects are sent as JSON
+     */
+    send(data) {
+        const message = typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data) ||
+            (typeof Blob !== 'undefined' && data instanceof Blob)
+            ? data
+            : JSON.stringify(data);
+
+        if (this.socket?.readyState === 1) {
+            this.socket.send(message);
+            return true;
+        }
+
+        if (this.closed) {
+            throw new Error('WebSocket is closed');
+        }
+
+        this.buffer.push(message);
+        if (this.buffer.length > this.options.bufferSize) {
+            this.buffer.shift();
+            this.logger.warn(`WebSocket send buffer full, dropped the oldest message: ${this.url}`);
+        }
+        return false;
+    }
+
+    flush() {
+        while (this.buffer.length > 0 && this.socket?.readyState === 1) {
+            this.socket.send(this.buffer.shift());
+        }
+    }
+
+    disconnect() {
+        clearInterval(this.pingTimer);
+        const socket = this.socket;
+        this.socket = null;
+        if (socket && socket.readyState < 2) {
+            socket.close(1000);
+        }
+    }
+
+    close() {
+        this.buffer = [];
+        super.close();
+    }
+}
@@ -1,3 +1,91 @@
+import { markupMatches } from './ssr.js';
+import { patch } from './dom.js';
+import { TemplateResult, insertTemplate } from './template.js';
+import { isBrowser, escapeHtml } from './utils.js';
+
+// Types for typed params ([id:number]); patterns must not contain capturing groups (addParamType removes them)
+const PARAM_TYPES = {
+    number: { pattern: '-?\\d+(?:\\.\\d+)?', parse: Number },
+    int: { pattern: '-?\\d+', parse: value => parseInt(value, 10) },
+    uuid: { pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}' },
+    slug: { pattern: '[a-z0-9]+(?:-[a-z0-9]+)*' },
+    boolean: { pattern: 'true|false', parse: value => value === 'true' }
+};
+
+// Segment specificity: at the first position where two routes differ, the higher rank wins
+const SEGMENT_RANK = {
+    static: 5,
+    typed: 4,
+    dynamic: 3,
+    // The route ends before this position
+    missing: 2,
+    optional: 1,
+    catchAll: 0
+};
+
+// Where a parent route renders its child route
+const OUTLET_PATTERN = /<velocity-outlet\b[^>]*>\s*<\/velocity-outlet>|\{\{outlet\}\}/;
+
+// Guard redirects followed before a navigation gives up
+const MAX_REDIRECTS = 10;
+
+// How long to wait for the popstate of moving the browser back after a blocked back/forward
+const RESTORE_TIMEOUT = 1000;
+
+/**
+ * Why a navigation did not finish: 'cancelled' (a newer navigation started), 'blocked' (a guard returned false)
+ * or 'redirected'; passed to afterEach hooks and returned by navigate()
+ */
+export class NavigationFailure extends Error {
+    constructor(type, to, from, redirect = null) {
+        super(`Navigation ${type}: ${to}`);
+        this.name = 'NavigationFailure';
+        this.type = type;
+        this.to = to;
+        this.from = from;
+        this.redirect = redirect;
+    }
+}
+
+function escapeRegex(value) {
+    return value.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * Turn capturing and named groups of a regex source into (?:...) so they do not shift the param captures
+ */
+function toNonCapturing(source) {
+    let result = '';
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (char === '\\') {
+            result += char + (source[++i] ?? '');
+            continue;
+        }
+        if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            const named = source.slice(i + 1).match(/^\?<([A-Za-z_$][\w$]*)>/);
+            if (named) {
+                result += '(?:';
+                i += named[0].length;
+                continue;
+            }
+            if (source[i + 1] !== '?') {
+                result += '(?:';
+                continue;
+            }
+        }
+        result += char;
+    }
+
+    return result;
+}
 
 export class VelocityRouter {
     constructor(options, logger) {
@@ -6,8 +94,19 @@ export class VelocityRouter {
         this.routes = new Map();
         this.middlewares = [];
         this.currentRoute = null;
+        this.renderingRoute = null;
         this.pageCache = new Map();
         this.layoutCache = new Map();
+        // Loader results: key -> { routePath, fullPath, promise }
+        this.loaderCache = new Map();
+        // Loader results from the SSR payload, used while hydrating
+        this.hydrationData = null;
+        // Route levels on screen, outermost first: [{ route, params, data, error }]
+        this.renderedLevels = null;
+        this.renderedLayout = null;
+        this.renderedPath = null;
+        // DOM of keepAlive levels that were navigated away from, by route path
+        this.keepAliveCache = new Map();
         this.routeParams = {};
         this.queryParams = {};
         this.loadingPromises = new Map();
@@ -22,8 +121,9 @@ export class VelocityRouter {
         this.routeComponents = new Map();
         
         // Route patterns
-        this.dynamicRouteRegex = /\[([^\]]+)\]/g;
-        this.catchAllRouteRegex = /\[\.\.\.([^\]]+)\]/g;
+        this.paramTypes = new Map(Object.entries(PARAM_TYPES));
+        // Routes sorted by specificity; rebuilt after routes change
+        this.rankedRoutes = null;
         
         // Enhanced features
         this.scrollPositions = new Map();
@@ -37,24 +137,105 @@ export class VelocityRouter {
         
         // Route transitions
         this.isTransitioning = false;
-        this.transitionQueue = [];
+        
+        // Navigation pipeline: the running navigation and global hooks
+        this.navigationId = 0;
+        this.activeNavigation = null;
+        this.navigationHooks = {
+            beforeEach: [],
+            beforeResolve: [],
+            afterEach: []
+        };
+        
+        // Navigation blocking (unsaved changes)
+        this.blockers = [];
+        // Position in the session history, stored in history.state to tell back from forward
+        this.historyIndex = 0;
+        this.restoringHistory = null;
+        this.unloadListening = false;
+        this.handleBeforeUnload = (event) => {
+            if (this.shouldBlockUnload()) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        };
     }
 
     /**
      * Initialize the router
      */
-    async init() {
+    async init(options = {}) {
         this.logger.info('Initializing VelocityRouter');
         
         // Setup scroll restoration
         this.setupScrollRestoration();
         
         // Parse current URL
-        await this.handleRoute(window.location.pathname + window.location.search);
+        const fullPath = window.location.pathname + window.location.search;
+        this.historyIndex = history.state?.index ?? 0;
+        
+        // Reuse server-rendered markup for the first route
+        if (options.hydration && options.hydration.url === fullPath) {
+            this.hydrationData = options.hydration.loaderData || null;
+            const hydrated = await this.hydrateRoute(fullPath);
+            this.hydrationData = null;
+            
+            if (hydrated) {
+                this.logger.info('VelocityRouter initialized (hydrated)');
+                return;
+            }
+        }
+        
+        await this.handleRoute(fullPath, { history: 'replace' });
         
         this.logger.info('VelocityRouter initialized');
     }
 
+    /**
+     * Adopt the server-rendered DOM for the current route instead of re-rendering it
+     */
+    async hydrateRoute(fullPath) {
+        const { pathname } = this.parseUrl(fullPath);
+        const route = this.matchRoute(pathname);
+        const appElement = document.getElementById('app');
+        
+        if (!route || !appElement) {
+            return false;
+        }
+
+        const context = this.createRouteContext(route, fullPath, { hydrating: true });
+        this.routeParams = context.params;
+        this.queryParams = context.query;
+        this.currentRoute = {
+            ...context,
+            config: route.config
+        };
+
+        // Render only to verify the server markup and attach `html` bindings; existing nodes are kept
+        try {
+            const { content, levels } = await this.renderView(route.config, context);
+            this.setRenderedLevels(levels, route.config, context);
+            if (this.options.debug && !(content instanceof HTMLElement) && !markupMatches(appElement, content)) {
+                this.logger.warn('Hydration mismatch: server and client markup differ', {
+                    path: fullPath,
+                    server: appElement.innerHTML,
+                    client: String(content)
+                });
+            }
+            if (content instanceof TemplateResult) {
+                patch(appElement, content);
+            }
+        } catch (error) {
+            this.logger.warn('Hydration check failed:', error);
+        }
+
+        this.updatePageMeta(route.config, context);
+        this.updateUnloadListener();
+        this.emitRouteChange(context);
+        
+        return true;
+    }
+
     /**
      * Add a route with enhanced options
      */
@@ -78,15 +259,25 @@ export class VelocityRouter {
             nestedRoutes: options.children || [],  // NEW: Nested routing
             scrollToTop: options.scrollToTop !== false,
             keepAlive: options.keepAlive || false,
-            errorBoundary: options.errorBoundary || null
+            errorBoundary: options.errorBoundary || null,  // (error, context) => content, or a registered component name
+            beforeLeave: options.beforeLeave || null,      // (to, from) => false or a confirm message keeps the user here
+            loader: options.loader || null,                // (context) => data, exposed as context.data
+            action: options.action || null,                // (context, formData) => result, run by submit()
+            parent: options.parent || null,                // Path of the parent route (nested routes)
+            index: options.index || false,                 // Child rendered at its parent's own URL
+            getStaticPaths: options.getStaticPaths || null, // Static generation of dynamic routes
+            sitemap: options.sitemap ?? true               // false, or { priority, changefreq, lastmod }
         };
 
         // Convert dynamic routes to regex
-        const regex = this.pathToRegex(path);
-        const keys = this.extractKeys(path);
+        const { regex, keys, segments } = this.compilePath(path);
         
         routeConfig.regex = regex;
         routeConfig.keys = keys;
+        routeConfig.segments = segments;
+        
+        this.checkRouteConflicts(routeConfig);
+        this.rankedRoutes = null;
         
         // Store route metadata
         this.routeMetadata.set(path, {
@@ -98,7 +289,7 @@ export class VelocityRouter {
         // Handle lazy routes
         if (routeConfig.lazy && typeof handler === 'string') {
             this.lazyRoutes.set(path, handler);
-            routeConfig.handler = () => this.loadLazyRoute(path);
+            routeConfig.handler = async (context) => (await this.loadLazyRoute(path))(context);
         }
         
         // Handle nested routes
@@ -117,10 +308,11 @@ export class VelocityRouter {
      */
     addNestedRoutes(parentPath, nestedRoutes) {
         nestedRoutes.forEach(route => {
-            const fullPath = this.joinPaths(parentPath, route.path);
+            const fullPath = this.joinPaths(parentPath, route.path || '');
             this.addRoute(fullPath, route.handler, {
                 ...route,
-                parent: parentPath
+                parent: parentPath,
+                index: route.index || !route.path || route.path === '/'
             });
         });
     }
@@ -170,180 +362,842 @@ export class VelocityRouter {
     }
 
     /**
-     * Navigate to a route with enhanced options
+     * Navigate to a path or a location object ({ path, query, hash, replace })
+     * options.ignoreBlockers skips router.block() blockers and beforeLeave, e.g. right after saving a form
+     * Resolves with a NavigationFailure when the navigation did not finish, otherwise with undefined
      */
-    async navigate(path, options = {}) {
+    async navigate(location, options = {}) {
+        const path = this.resolveLocation(location);
+        const replace = options.replace ?? (typeof location === 'object' && Boolean(location.replace));
+        
+        // Don't navigate if already on the same route
+        if (this.currentRoute && this.currentRoute.fullPath === path && !this.activeNavigation && !options.force) {
+            this.logger.info('Already on route, skipping navigation');
+            return;
+        }
+        
+        // Save scroll position
+        this.saveScrollPosition(this.currentRoute?.fullPath);
+        
+        return this.runNavigation(path, { ...options, history: replace ? 'replace' : 'push' });
+    }
+
+    /**
+     * Render a path without adding a history entry (initial load, back/forward)
+     */
+    async handleRoute(fullPath, options = {}) {
+        return this.runNavigation(fullPath, { history: null, ...options });
+    }
+
+    /**
+     * Navigation pipeline: beforeEach, guards, middleware and beforeResolve, then history, render and afterEach
+     * Each navigation has an id and an AbortSignal (context.signal); starting a newer one aborts it
+     */
+    async runNavigation(fullPath, options = {}, redirects = 0) {
+        const previous = this.activeNavigation;
+        previous?.controller.abort();
+        // `pushed`: this navigation, or a cancelled one it took over from, added a history entry
+        const navigation = { id: ++this.navigationId, path: fullPath, controller: new AbortController(), pushed: false };
+        this.activeNavigation = navigation;
+        
+        const from = this.currentRoute;
+        
+        // Reuse the entry a cancelled navigation already pushed (e.g. a double click), and never push the current URL again
+        if (options.history === 'push' && (previous?.pushed || fullPath === from?.fullPath)) {
+            options = { ...options, history: 'replace' };
+            navigation.pushed = Boolean(previous?.pushed);
+        }
+        let result = {};
+        
+        this.logger.info(`Navigating to: ${fullPath}`);
+        this.isTransitioning = true;
+        
+        // Show loading state
+        this.showLoading();
+        
         try {
-            this.logger.info(`Navigating to: ${path}`);
-            
-            // Check if already transitioning
-            if (this.isTransitioning && !options.force) {
-                this.transitionQueue.push({ path, options });
-                return;
+            result = await this.performNavigation(navigation, fullPath, options, from);
+        } catch (error) {
+            result = { to: navigation.to, failure: error };
+            if (!navigation.controller.signal.aborted) {
+                this.logger.error('Navigation failed', error);
+                this.handleNavigationError(error, fullPath);
             }
-            
-            // Don't navigate if already on the same route
-            if (this.currentRoute && this.currentRoute.fullPath === path && !options.force) {
-                this.logger.info('Already on route, skipping navigation');
-                return;
+        } finally {
+            if (this.activeNavigation === navigation) {
+                this.activeNavigation = null;
+                this.isTransitioning = false;
+                this.hideLoading();
             }
-
-            this.isTransitioning = true;
-            
-            // Save scroll position
-            this.saveScrollPosition(this.currentRoute?.fullPath);
-            
-            // Show loading state
-            this.showLoading();
-            
-            // Handle route with transition
-            await this.handleRouteWithTransition(path, options);
-            
-            // Update browser history
-            if (options.replace) {
-                history.replaceState({ path, timestamp: Date.now() }, '', path);
-            } else {
-                history.pushState({ path, timestamp: Date.now() }, '', path);
-            }
-            
-            this.hideLoading();
-            this.isTransitioning = false;
-            
-            // Process queued transitions
-            if (this.transitionQueue.length > 0) {
-                const next = this.transitionQueue.shift();
-                setTimeout(() => this.navigate(next.path, next.options), 0);
+        }
+        
+        if (result.to) {
+            this.runAfterEachHooks(result.to, from, result.failure);
+        }
+        
+        const { redirect } = result.failure || {};
+        if (redirect && this.navigationId === navigation.id) {
+            if (redirects >= MAX_REDIRECTS) {
+                this.logger.error(`Too many redirects navigating to ${fullPath}`);
+                return result.failure;
             }
             
-        } catch (error) {
-            this.hideLoading();
-            this.isTransitioning = false;
-            this.logger.error('Navigation failed', error);
-            this.handleNavigationError(error, path);
+            // The redirect takes the place of this navigation; a URL already in the address bar is replaced
+            const history = redirect.replace || !options.history ? 'replace' : options.history;
+            return this.runNavigation(redirect.path, { ...options, history, ignoreBlockers: true }, redirects + 1);
         }
+        
+        return result.failure;
     }
 
     /**
-     * Handle route with transition effects
+     * Steps of one navigation; resolves with { to, failure }
      */
-    async handleRouteWithTransition(path, options = {}) {
-        const { pathname, search } = this.parseUrl(path);
+    async performNavigation(navigation, fullPath, options, from) {
+        const { signal } = navigation.controller;
+        const cancelled = () => new NavigationFailure('cancelled', fullPath, from?.fullPath);
+        
+        const { pathname } = this.parseUrl(fullPath);
         const route = this.matchRoute(pathname);
+        const to = route
+            ? this.createRouteContext(route, fullPath, { navigationId: navigation.id, signal })
+            : null;
+        navigation.to = to;
+        
+        // Unsaved changes: blockers and the beforeLeave of every level being left may keep the user here
+        if (from && !options.ignoreBlockers) {
+            const target = to || { path: pathname, fullPath, params: {}, query: {}, route: null };
+            if (!await this.canLeave(target, from)) {
+                return { to, failure: new NavigationFailure('blocked', fullPath, from.fullPath) };
+            }
+            if (signal.aborted) {
+                return { to, failure: cancelled() };
+            }
+        }
         
         if (!route) {
+            this.commitHistory(navigation, fullPath, options.history);
             this.handle404(pathname);
-            return;
+            return {};
         }
-
+        
+        const outcome = await this.runNavigationChecks(route, to, from);
+        if (signal.aborted) {
+            return { to, failure: cancelled() };
+        }
+        
+        if (outcome !== true) {
+            const redirect = outcome ? { path: outcome.redirect, replace: outcome.replace } : null;
+            return { to, failure: new NavigationFailure(redirect ? 'redirected' : 'blocked', fullPath, from?.fullPath, redirect) };
+        }
+        
+        this.commitHistory(navigation, fullPath, options.history);
+        
         // Apply transition out effect
-        if (this.currentRoute) {
-            await this.applyTransitionOut(this.currentRoute);
+        if (from) {
+            await this.applyTransitionOut(from);
+            if (signal.aborted) {
+                return { to, failure: cancelled() };
+            }
+        }
+        
+        await this.commitRoute(route, to);
+        if (signal.aborted) {
+            return { to, failure: cancelled() };
         }
-
-        // Handle the route
-        await this.handleRoute(path, options);
         
         // Apply transition in effect
         await this.applyTransitionIn(route.config);
+        
+        return { to };
     }
 
     /**
-     * Handle route with enhanced features
+     * Render a route whose checks passed; does nothing more once its navigation was aborted
      */
-    async handleRoute(fullPath, options = {}) {
-        const { pathname, search } = this.parseUrl(fullPath);
-        const route = this.matchRoute(pathname);
+    async commitRoute(route, context) {
+        const nextRoute = {
+            ...context,
+            config: route.config
+        };
+
+        // Execute route handler with layout; the route becomes current only once it rendered
+        this.renderingRoute = nextRoute;
+        try {
+            await this.executeRouteWithLayout(route.config, context);
+        } finally {
+            if (this.renderingRoute === nextRoute) {
+                this.renderingRoute = null;
+            }
+        }
+        if (context.signal?.aborted) return;
         
-        if (!route) {
-            this.handle404(pathname);
-            return;
+        // Update current route
+        this.currentRoute = nextRoute;
+        this.routeParams = context.params;
+        this.queryParams = context.query;
+        
+        // Update page meta
+        this.updatePageMeta(route.config, context);
+        this.updateUnloadListener();
+        
+        // Restore scroll position or scroll to top
+        this.handleScrollRestoration(route.config, context.fullPath);
+        
+        // Emit route change event
+        this.emitRouteChange(context);
+    }
+
+    commitHistory(navigation, path, mode) {
+        this.updateHistory(path, mode);
+        navigation.pushed = navigation.pushed || mode === 'push';
+    }
+
+    updateHistory(path, mode) {
+        if (mode === 'replace') {
+            history.replaceState({ path, timestamp: Date.now(), index: this.historyIndex }, '', path);
+        } else if (mode === 'push') {
+            history.pushState({ path, timestamp: Date.now(), index: ++this.historyIndex }, '', path);
         }
+    }
+
+    /**
+     * Block leaving the current page while `blocker(to, from)` returns false or a confirm message
+     * `to` is null when the tab is closed or reloaded; the answer must then be synchronous, a Promise always blocks
+     * Returns a function that removes the blocker
+     */
+    block(blocker) {
+        this.blockers.push(blocker);
+        this.updateUnloadListener();
+        
+        return () => {
+            const index = this.blockers.indexOf(blocker);
+            if (index > -1) {
+                this.blockers.splice(index, 1);
+            }
+            this.updateUnloadListener();
+        };
+    }
+
+    /**
+     * Blockers, then the beforeLeave of the route levels that `to` does not keep
+     * A string result is shown with options.confirmNavigation (or window.confirm); false stays without asking
+     */
+    async canLeave(to, from) {
+        const toChain = to?.route ? this.getRouteChain(to.route) : [];
+        const leaving = this.getRouteChain(from.config).filter(route => !toChain.includes(route) ||
+            JSON.stringify(this.getLevelParams(route, from.params)) !== JSON.stringify(this.getLevelParams(route, to.params)));
+        
+        const checks = [...this.blockers, ...leaving.reverse().map(route => route.beforeLeave).filter(Boolean)];
+        for (const check of checks) {
+            let result;
+            try {
+                result = await check(to, from);
+                if (typeof result === 'string') {
+                    result = await this.confirmNavigation(result, to, from);
+                }
+            } catch (error) {
+                this.logger.error('Navigation blocker error:', error);
+                result = false;
+            }
+            
+            if (result === false) {
+                this.logger.info('Navigation blocked by unsaved changes');
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Ask the user; a custom dialog can be plugged in as options.confirmNavigation(message, to, from) => Promise<boolean>
+     */
+    async confirmNavigation(message, to, from) {
+        if (typeof this.options.confirmNavigation === 'function') {
+            return Boolean(await this.options.confirmNavigation(message, to, from));
+        }
+        return window.confirm(message);
+    }
+
+    /**
+     * Browsers only show their own prompt on tab close, and only for a synchronous answer; a pending Promise counts as blocking
+     */
+    shouldBlockUnload() {
+        if (!this.currentRoute) return false;
+        
+        const checks = [...this.blockers, ...this.getRouteChain(this.currentRoute.config).map(route => route.beforeLeave).filter(Boolean)];
+        return checks.some(check => {
+            try {
+                const result = check(null, this.currentRoute);
+                return result === false || typeof result === 'string' || typeof result?.then === 'function';
+            } catch (error) {
+                this.logger.error('Navigation blocker error:', error);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Listen for beforeunload only while something can block; the listener keeps pages out of the back/forward cache
+     */
+    updateUnloadListener() {
+        if (!isBrowser) return;
+        
+        const needed = this.blockers.length > 0 ||
+            Boolean(this.currentRoute && this.getRouteChain(this.currentRoute.config).some(route => route.beforeLeave));
+        
+        if (needed && !this.unloadListening) {
+            window.addEventListener('beforeunload', this.handleBeforeUnload);
+        } else if (!needed && this.unloadListening) {
+            window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        }
+        this.unloadListening = needed;
+    }
+
+    /**
+     * Path with query string from a path or a { path, query, hash } location
+     */
+    resolveLocation(location) {
+        if (typeof location === 'string') {
+            return location;
+        }
+        
+        const query = new URLSearchParams(location.query || {}).toString();
+        const hash = location.hash ? `#${String(location.hash).replace(/^#/, '')}` : '';
+        return `${location.path}${query ? `?${query}` : ''}${hash}`;
+    }
 
-        // Extract route parameters
-        this.routeParams = this.extractParams(pathname, route);
-        this.queryParams = this.parseQuery(search);
+    /**
+     * Global navigation hooks; each returns a function that removes the hook
+     * beforeEach(to, from) and beforeResolve(to, from) may return false to cancel or a path/location to redirect
+     * afterEach(to, from, failure) runs after every navigation that got past route matching
+     */
+    beforeEach(hook) {
+        return this.addNavigationHook('beforeEach', hook);
+    }
+
+    beforeResolve(hook) {
+        return this.addNavigationHook('beforeResolve', hook);
+    }
+
+    afterEach(hook) {
+        return this.addNavigationHook('afterEach', hook);
+    }
+
+    addNavigationHook(type, hook) {
+        this.navigationHooks[type].push(hook);
+        return () => {
+            const index = this.navigationHooks[type].indexOf(hook);
+            if (index > -1) {
+                this.navigationHooks[type].splice(index, 1);
+            }
+        };
+    }
+
+    runAfterEachHooks(to, from, failure) {
+        this.navigationHooks.afterEach.forEach(hook => {
+            try {
+                hook(to, from, failure);
+            } catch (error) {
+                this.logger.error('afterEach hook error:', error);
+            }
+        });
+    }
+
+    /**
+     * Create route context
+     */
+    createRouteContext(route, fullPath, overrides = {}) {
+        const { pathname, search } = this.parseUrl(fullPath);
         
-        // Create route context
-        const context = {
+        return {
             path: pathname,
             fullPath,
-            params: this.routeParams,
-            query: this.queryParams,
+            params: this.extractParams(pathname, route),
+            query: this.parseQuery(search),
             route: route.config,
             navigate: this.navigate.bind(this),
             redirect: this.redirect.bind(this),
             setTitle: this.setTitle.bind(this),
             setMeta: this.setMeta.bind(this),
-            getLayoutData: this.getLayoutData.bind(this)
+            getLayoutData: this.getLayoutData.bind(this),
+            ...overrides
         };
+    }
 
-        // Run route guards
-        if (!await this.runRouteGuards(pathname, context)) {
-            return;
+    /**
+     * Run beforeEach hooks, route guards, middlewares and beforeResolve hooks in order
+     * Returns true to continue, false if navigation is blocked, or { redirect, replace }
+     */
+    async runNavigationChecks(route, context, from = null) {
+        const chain = this.getRouteChain(route.config);
+        const steps = [
+            ...this.navigationHooks.beforeEach.map(hook => ['beforeEach hook', () => hook(context, from)]),
+            // Guards of every level, outermost first, then guards added for the exact URL
+            ...chain.map(level => ['route guard', () => this.runRouteGuards(level.path, context, level.guards)]),
+            ...(chain.some(level => level.path === context.path)
+                ? []
+                : [['route guard', () => this.runRouteGuards(context.path, context)]]),
+            ...[...this.middlewares, ...route.config.middleware].map(middleware => ['middleware', () => middleware(context)]),
+            ...this.navigationHooks.beforeResolve.map(hook => ['beforeResolve hook', () => hook(context, from)])
+        ];
+        
+        for (const [name, step] of steps) {
+            const outcome = this.toNavigationOutcome(await step());
+            if (outcome !== true) {
+                this.logger.info(outcome ? `Navigation redirected by ${name} to ${outcome.redirect}` : `Navigation blocked by ${name}`);
+                return outcome;
+            }
+            if (context.signal?.aborted) {
+                return false;
+            }
         }
+        
+        return true;
+    }
 
-        // Run middlewares
-        for (const middleware of [...this.middlewares, ...route.config.middleware]) {
-            const result = await middleware(context);
-            if (result === false) {
-                this.logger.info('Navigation blocked by middleware');
-                return;
+    /**
+     * false blocks, a path or { path, query, hash, replace } redirects, anything else continues
+     */
+    toNavigationOutcome(result) {
+        if (result === false) {
+            return false;
+        }
+        if (typeof result === 'string') {
+            return { redirect: result, replace: false };
+        }
+        if (result && typeof result === 'object' && typeof result.path === 'string') {
+            return { redirect: this.resolveLocation(result), replace: Boolean(result.replace) };
+        }
+        return true;
+    }
+
+    /**
+     * Execute route with layout system
+     */
+    async executeRouteWithLayout(routeConfig, context) {
+        try {
+            // Parent levels already on screen are kept when the layout stays the same
+            const reuse = Boolean(this.renderedLevels) && this.renderedLayout === routeConfig.layout;
+            const { content, depth, levels } = await this.renderView(routeConfig, context, { reuse });
+            // A newer navigation took over while this one was loading
+            if (context.signal?.aborted) return;
+            
+            const target = depth > 0 ? this.findOutlet(levels[depth - 1].route.path) : null;
+            
+            this.stashKeepAlive(depth);
+
+            // Render content
+            this.renderContent(content, target);
+            this.setRenderedLevels(levels, routeConfig, context);
+            
+        } catch (error) {
+            if (context.signal?.aborted) return;
+            this.logger.error('Route execution failed', error);
+            this.handleRouteError(error, context);
+        }
+    }
+
+    /**
+     * Render route content and layout to a string without touching the DOM
+     */
+    async renderRoute(routeConfig, context, options = {}) {
+        const { content } = await this.renderView(routeConfig, context, options);
+        return content;
+    }
+
+    /**
+     * Render a route inside its parent routes and its layout
+     * With options.reuse, the first `depth` levels are still on screen and `content` replaces the outlet of the last of them
+     */
+    async renderView(routeConfig, context, options = {}) {
+        const useCache = routeConfig.cache && options.cache !== false;
+        const chain = this.getRouteChain(routeConfig);
+        // Nested and keepAlive routes reuse what is on screen instead of whole cached pages
+        const cachePage = useCache && chain.length === 1 && !routeConfig.keepAlive;
+        let view;
+        
+        // Check cache first
+        const cacheKey = context.fullPath;
+        if (cachePage && this.pageCache.has(cacheKey)) {
+            view = { content: this.pageCache.get(cacheKey), depth: 0, levels: null };
+            this.logger.info('Loaded from cache:', cacheKey);
+        } else {
+            view = await this.renderChain(chain, context, { cache: useCache, reuse: options.reuse });
+            
+            // Cache complete pages only
+            if (cachePage && view.content && view.depth === 0 && !view.restored && !context.error) {
+                this.pageCache.set(cacheKey, view.content);
             }
         }
 
-        // Update current route
+        // Apply layout if specified; partial renders keep the layout on screen
+        if (routeConfig.layout && view.depth === 0 && !view.restored) {
+            view.content = await this.applyLayout(routeConfig.layout, view.content, context, options);
+        }
+
+        return view;
+    }
+
+    /**
+     * Render the levels of a route innermost first; each parent's <velocity-outlet> (or {{outlet}}) receives the level below
+     * A failing level renders the nearest errorBoundary at or above it in place of itself, inside the levels above
+     */
+    async renderChain(chain, context, options = {}) {
+        const leafIndex = chain.length - 1;
+        
+        // Loaders of every level run in parallel with loading lazy route code
+        const [data, ...lazy] = await Promise.allSettled([
+            this.loadRouteData(chain[leafIndex], context, options),
+            ...chain.map(route => route.lazy ? this.loadLazyRoute(route.path) : null)
+        ]);
+        
+        let error = null;
+        let failedAt = chain.length;
+        if (data.status === 'rejected') {
+            error = data.reason;
+            const index = chain.findIndex(route => route.path === error?.routePath);
+            failedAt = index === -1 ? leafIndex : index;
+        }
+        lazy.forEach((result, index) => {
+            if (result.status === 'rejected' && index < failedAt) {
+                error = result.reason;
+                failedAt = index;
+            }
+        });
+        
+        let boundaryAt = error ? this.findErrorBoundaryIndex(chain, failedAt, error) : chain.length;
+        const levels = chain.map(route => ({
+            route,
+            params: this.getLevelParams(route, context.params),
+            data: context.loaderData?.[route.path]
+        }));
+        
+        let depth = 0;
+        if (options.reuse) {
+            while (depth < Math.min(boundaryAt, leafIndex) && this.isLevelRendered(levels[depth], depth) &&
+                this.findOutlet(chain[depth].path)) {
+                depth++;
+            }
+            
+            const restored = this.restoreKeepAlive(chain[depth], context, !error);
+            if (restored) {
+                return { content: restored.fragment, depth, levels: [...levels.slice(0, depth), ...restored.levels], restored: true };
+            }
+        }
+        
+        let content = null;
+        for (let index = Math.min(boundaryAt, leafIndex); index >= depth; index--) {
+            const route = chain[index];
+            const levelContext = index === leafIndex
+                ? context
+                : { ...context, route, data: context.loaderData?.[route.path] ?? null };
+            
+            if (index === boundaryAt) {
+                this.logger.error('Route failed, rendering its error boundary:', error);
+                context.error = error;
+                levelContext.error = error;
+                content = await this.renderErrorBoundary(route.errorBoundary, error, levelContext);
+                continue;
+            }
+            
+            try {
+                const levelContent = await this.getRouteContent(route, levelContext);
+                content = index === leafIndex ? levelContent : this.insertOutlet(levelContent, content, route);
+            } catch (levelError) {
+                error = levelError;
+                boundaryAt = this.findErrorBoundaryIndex(chain, index, error);
+                // The boundary belongs to a level that was going to be kept; render from there instead
+                depth = Math.min(depth, boundaryAt);
+                index = boundaryAt + 1;
+            }
+        }
+        
+        if (boundaryAt < chain.length) {
+            levels.length = boundaryAt + 1;
+            levels[boundaryAt].error = error;
+        }
+        
+        return { content, depth, levels };
+    }
+
+    /**
+     * Put a child route's content into the parent's outlet
+     * Parents without an outlet are left out, and the child renders on its own
+     */
+    insertOutlet(parentContent, content, route) {
+        const outlet = `<velocity-outlet data-parent="${route.path}" style="display: contents">{{outlet}}</velocity-outlet>`;
+        
+        if (parentContent instanceof TemplateResult) {
+            const index = parentContent.strings.findIndex(chunk => OUTLET_PATTERN.test(chunk));
+            if (index !== -1) {
+                const strings = [...parentContent.strings];
+                strings[index] = strings[index].replace(OUTLET_PATTERN, () => outlet);
+                const marked = new TemplateResult(strings, parentContent.values);
+                marked.host = parentContent.host;
+                return insertTemplate(marked, '{{outlet}}', content ?? '');
+            }
+        } else if (typeof parentContent === 'string' && OUTLET_PATTERN.test(parentContent)) {
+            const marked = parentContent.replace(OUTLET_PATTERN, () => outlet);
+            return content instanceof TemplateResult
+                ? insertTemplate(marked, '{{outlet}}', content)
+                : marked.replace('{{outlet}}', () => String(content ?? ''));
+        }
+        
+        this.logger.debug(`Route ${route.path} has no outlet, rendering its child on its own`);
+        return content;
+    }
+
+    /**
+     * Rendered outlet of a parent route
+     */
+    findOutlet(routePath) {
+        const root = document.getElementById('app') || document.body;
+        return Array.from(root.querySelectorAll('velocity-outlet')).find(outlet => outlet.dataset.parent === routePath) || null;
+    }
+
+    getLevelParams(route, params = {}) {
+        return Object.fromEntries(route.keys.filter(key => key.name in params).map(key => [key.name, params[key.name]]));
+    }
+
+    /**
+     * The level on screen at this depth shows the same route, params and loader data
+     */
+    isLevelRendered(level, depth) {
+        const rendered = this.renderedLevels?.[depth];
+        return Boolean(rendered) && !rendered.error && rendered.route === level.route && rendered.data === level.data &&
+            JSON.stringify(rendered.params) === JSON.stringify(level.params);
+    }
+
+    setRenderedLevels(levels, routeConfig, context) {
+        this.renderedLevels = levels;
+        this.renderedLayout = routeConfig.layout;
+        this.renderedPath = context.path;
+    }
+
+    /**
+     * Before the levels from `depth` are replaced, keep the DOM of the outermost keepAlive level among them
+     */
+    stashKeepAlive(depth) {
+        const levels = this.renderedLevels || [];
+        const index = levels.findIndex((level, i) => i >= depth && level.route.keepAlive && !level.error);
+        if (index === -1) return;
+        
+        const container = index === 0
+            ? document.getElementById('app') || document.body
+            : this.findOutlet(levels[index - 1].route.path);
+        if (!container) return;
+        
+        const fragment = document.createDocumentFragment();
+        fragment.append(...container.childNodes);
+        this.keepAliveCache.set(levels[index].route.path, {
+            path: this.renderedPath,
+            fragment,
+            levels: levels.slice(index)
+        });
+    }
+
+    /**
+     * Kept DOM of a keepAlive level, when navigating back to the same URL
+     */
+    restoreKeepAlive(route, context, allowed) {
+        const kept = this.keepAliveCache.get(route?.path);
+        if (!allowed || !route.keepAlive || kept?.path !== context.path) {
+            return null;
+        }
+        
+        this.keepAliveCache.delete(route.path);
+        this.logger.debug('Restored kept-alive route:', route.path);
+        return kept;
+    }
+
+    /**
+     * The route and its parents, outermost first
+     */
+    getRouteChain(routeConfig) {
+        const chain = [routeConfig];
+        let parent = routeConfig.parent ? this.routes.get(routeConfig.parent) : null;
+        
+        while (parent && !chain.includes(parent)) {
+            chain.unshift(parent);
+            parent = parent.parent ? this.routes.get(parent.parent) : null;
+        }
+        
+        return chain;
+    }
+
+    /**
+     * Run the loaders of the route and its parents in parallel
+     * context.data is the route's own result; context.loaderData holds every result by route path
+     */
+    async loadRouteData(routeConfig, context, options = {}) {
+        const routes = this.getRouteChain(routeConfig).filter(route => route.loader);
+        context.loaderData = context.loaderData || {};
+        context.data = context.data ?? null;
+        
+        if (routes.length === 0) {
+            return context.loaderData;
+        }
+        
+        this.emit('route:loading', { path: context.path, routes: routes.map(route => route.path) });
+        const results = await Promise.allSettled(routes.map(route => this.runLoader(route, context, options)));
+        
+        routes.forEach((route, index) => {
+            if (results[index].status === 'fulfilled') {
+                context.loaderData[route.path] = results[index].value;
+            }
+        });
+        context.data = context.loaderData[routeConfig.path] ?? null;
+        
+        // The outermost failure; routePath lets renderChain pick the error boundary of that level
+        const failed = results.findIndex(result => result.status === 'rejected');
+        if (failed !== -1) {
+            const { reason } = results[failed];
+            if (reason && typeof reason === 'object' && !reason.routePath) {
+                reason.routePath = routes[failed].path;
+            }
+            throw reason;
+        }
+        
+        this.emit('route:loaded', { path: context.path, data: context.loaderData });
+        
+        return context.loaderData;
+    }
+
+    runLoader(route, context, options = {}) {
+        // Parent loaders depend only on their own params, so moving between child routes keeps their results
+        const { search } = this.parseUrl(context.fullPath || context.path);
+        const key = `${route.path}|${JSON.stringify(this.getLevelParams(route, context.params))}|${search}`;
+        const useCache = options.cache !== false;
+        
+        if (useCache && this.loaderCache.has(key)) {
+            return this.loaderCache.get(key).promise;
+        }
+        
+        const promise = context.hydrating && this.hydrationData && route.path in this.hydrationData
+            ? Promise.resolve(this.hydrationData[route.path])
+            : Promise.resolve().then(() => route.loader(context));
+        
+        if (useCache) {
+            this.loaderCache.set(key, { routePath: route.path, fullPath: context.fullPath, promise });
+            let settled = false;
+            // Failures are not cached
+            promise.then(() => {
+                settled = true;
+            }, () => this.loaderCache.delete(key));
+            // Nor results still pending when their navigation is cancelled; the next navigation loads again
+            context.signal?.addEventListener('abort', () => {
+                if (!settled && this.loaderCache.get(key)?.promise === promise) {
+                    this.loaderCache.delete(key);
+                }
+            }, { once: true });
+        }
+        
+        return promise;
+    }
+
+    /**
+     * Drop cached loader results and the pages rendered from them
+     * `path` matches route paths and URLs starting with it; without it everything is dropped
+     */
+    invalidate(path = null) {
+        const matches = (fullPath, routePath = null) => !path || routePath === path || fullPath.startsWith(path);
+        
+        this.loaderCache.forEach((entry, key) => {
+            if (matches(entry.fullPath, entry.routePath)) {
+                this.loaderCache.delete(key);
+            }
+        });
+        
+        this.pageCache.forEach((content, fullPath) => {
+            if (matches(fullPath)) {
+                this.pageCache.delete(fullPath);
+            }
+        });
+        
+        this.keepAliveCache.forEach((entry, routePath) => {
+            if (matches(entry.path, routePath)) {
+                this.keepAliveCache.delete(routePath);
+            }
+        });
+    }
+
+    /**
+     * Render the current route again, running its loaders if they were invalidated
+     */
+    async revalidate(overrides = {}) {
+        if (!this.currentRoute) return;
+        
+        const { fullPath } = this.currentRoute;
+        const route = this.matchRoute(this.parseUrl(fullPath).pathname);
+        if (!route) return;
+        
+        const context = this.createRouteContext(route, fullPath, overrides);
         this.currentRoute = {
             ...context,
             config: route.config
         };
-
-        // Execute route handler with layout
+        
         await this.executeRouteWithLayout(route.config, context);
+    }
+
+    /**
+     * Run the action of the route matching `path`, then invalidate loaders and re-render
+     * options.invalidate limits which loaders are invalidated; options.revalidate: false skips the re-render
+     */
+    async submit(path, formData, options = {}) {
+        const { pathname } = this.parseUrl(path);
+        const route = this.matchRoute(pathname);
         
-        // Update page meta
-        this.updatePageMeta(route.config, context);
+        if (!route?.config.action) {
+            throw new Error(`No action for route: ${pathname}`);
+        }
         
-        // Restore scroll position or scroll to top
-        this.handleScrollRestoration(route.config, fullPath);
+        const context = this.createRouteContext(route, path, { formData });
+        this.emit('action:start', { path, formData });
         
-        // Emit route change event
-        this.emitRouteChange(context);
+        let result;
+        try {
+            result = await route.config.action(context, formData);
+        } catch (error) {
+            this.logger.error('Route action failed:', error);
+            this.emit('action:error', { path, error });
+            throw error;
+        }
+        
+        this.invalidate(options.invalidate);
+        this.emit('action:end', { path, result });
+        
+        if (options.revalidate !== false) {
+            await this.revalidate({ actionData: result });
+        }
+        
+        return result;
     }
 
     /**
-     * Execute route with layout system
+     * Index of the nearest level at or above `index` with an errorBoundary; rethrows the error when there is none
      */
-    async executeRouteWithLayout(routeConfig, context) {
-        try {
-            let content;
-            
-            // Check cache first
-            const cacheKey = context.fullPath;
-            if (routeConfig.cache && this.pageCache.has(cacheKey)) {
-                content = this.pageCache.get(cacheKey);
-                this.logger.info('Loaded from cache:', cacheKey);
-            } else {
-                // Get route content
-                content = await this.getRouteContent(routeConfig, context);
-                
-                // Cache content if enabled
-                if (routeConfig.cache && content) {
-                    this.pageCache.set(cacheKey, content);
-                }
-            }
-
-            // Apply layout if specified
-            if (routeConfig.layout) {
-                content = await this.applyLayout(routeConfig.layout, content, context);
+    findErrorBoundaryIndex(chain, index, error) {
+        for (let i = index; i >= 0; i--) {
+            if (chain[i].errorBoundary) {
+                return i;
             }
+        }
+        throw error;
+    }
 
-            // Render content
-            this.renderContent(content);
-            
-        } catch (error) {
-            this.logger.error('Route execution failed', error);
-            this.handleRouteError(error, context);
+    async renderErrorBoundary(errorBoundary, error, context) {
+        if (typeof errorBoundary === 'function') {
+            return await errorBoundary(error, context);
+        }
+        
+        if (this.routeComponents.has(errorBoundary)) {
+            return await this.routeComponents.get(errorBoundary)(context);
         }
+        
+        return errorBoundary;
     }
 
     /**
@@ -461,7 +1315,7 @@ export class VelocityRouter {
     /**
      * Apply layout to content
      */
-    async applyLayout(layoutName, content, context) {
+    async applyLayout(layoutName, content, context, options = {}) {
         let layoutHandler;
         
         if (typeof layoutName === 'function') {
@@ -475,19 +1329,21 @@ export class VelocityRouter {
 
         // Check layout cache
         const layoutCacheKey = `${layoutName}_${context.path}`;
-        if (this.layoutCache.has(layoutCacheKey)) {
+        if (options.cache !== false && this.layoutCache.has(layoutCacheKey)) {
             const cachedLayout = this.layoutCache.get(layoutCacheKey);
-            return cachedLayout.replace('{{content}}', content);
+            return this.insertLayoutContent(cachedLayout, content);
         }
 
         try {
             const layoutContent = await layoutHandler(context);
             
             // Cache layout
-            this.layoutCache.set(layoutCacheKey, layoutContent);
+            if (options.cache !== false) {
+                this.layoutCache.set(layoutCacheKey, layoutContent);
+            }
             
             // Replace content placeholder
-            return layoutContent.replace('{{content}}', content);
+            return this.insertLayoutContent(layoutContent, content);
             
         } catch (error) {
             this.logger.error('Layout rendering failed:', error);
@@ -495,6 +1351,16 @@ export class VelocityRouter {
         }
     }
 
+    /**
+     * Replace {{content}}, keeping bindings when either side is an `html` template
+     */
+    insertLayoutContent(layoutContent, content) {
+        if (layoutContent instanceof TemplateResult || content instanceof TemplateResult) {
+            return insertTemplate(layoutContent, '{{content}}', content);
+        }
+        return layoutContent.replace('{{content}}', content);
+    }
+
     /**
      * Load lazy route
      */
@@ -526,15 +1392,15 @@ export class VelocityRouter {
     /**
      * Run route guards
      */
-    async runRouteGuards(path, context) {
-        const guards = this.routeGuards.get(path) || [];
+    async runRouteGuards(path, context, routeGuards = []) {
+        const guards = [...routeGuards, ...(this.routeGuards.get(path) || [])];
         
         for (const guard of guards) {
             try {
+                // false blocks; a path or location redirects
                 const result = await guard(context);
-                if (result === false) {
-                    this.logger.info('Navigation blocked by route guard');
-                    return false;
+                if (this.toNavigationOutcome(result) !== true) {
+                    return result;
                 }
             } catch (error) {
                 this.logger.error('Route guard error:', error);
@@ -645,10 +1511,12 @@ export class VelocityRouter {
             if (route && route.config.preload !== false) {
                 this.logger.info('Preloading route:', path);
                 
-                // Preload lazy routes
-                if (route.config.lazy) {
-                    await this.loadLazyRoute(route.path);
-                }
+                // Preload lazy routes and, when results are cached, loader data
+                const context = this.createRouteContext(route, path);
+                await Promise.all([
+                    route.config.lazy ? this.loadLazyRoute(route.path) : null,
+                    route.config.cache ? this.loadRouteData(route.config, context) : null
+                ]);
                 
                 // Preload HTML pages
                 if (route.config.fetchHtml && route.config.htmlPath) {
@@ -698,7 +1566,8 @@ export class VelocityRouter {
      */
     getLayoutData() {
         return {
-            currentRoute: this.currentRoute,
+            // While a navigation renders, its route
+            currentRoute: this.renderingRoute || this.currentRoute,
             navigation: this.getNavigationData(),
             user: this.getUserData()
         };
@@ -724,48 +1593,166 @@ export class VelocityRouter {
     }
 
     /**
-     * Enhanced route matching with nested routes
+     * Most specific route matching the path
+     * Without options.strictRouting, an unknown path falls back to its nearest matching parent
      */
     matchRoute(pathname) {
-        // First try exact matches
-        for (const [path, config] of this.routes) {
-            if (config.regex.test(pathname)) {
-                return { path, config };
-            }
+        const route = this.findRoute(pathname);
+        if (route || this.options.strictRouting) {
+            return route;
         }
         
-        // Try nested route matching
         const segments = pathname.split('/').filter(Boolean);
-        for (let i = segments.length; i > 0; i--) {
-            const partialPath = '/' + segments.slice(0, i).join('/');
-            for (const [path, config] of this.routes) {
-                if (config.regex.test(partialPath)) {
-                    return { path, config };
-                }
+        for (let i = segments.length - 1; i > 0; i--) {
+            const parent = this.findRoute('/' + segments.slice(0, i).join('/'));
+            if (parent) {
+                this.logger.debug(`No route for ${pathname}, falling back to ${parent.path}`);
+                return parent;
             }
         }
         
         return null;
     }
 
+    findRoute(pathname) {
+        for (const config of this.getRankedRoutes()) {
+            const params = this.matchParams(pathname, config);
+            if (params) {
+                return { path: config.path, config, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Routes from most to least specific; equally specific routes keep registration order
+     */
+    getRankedRoutes() {
+        if (!this.rankedRoutes) {
+            this.rankedRoutes = Array.from(this.routes.values()).sort((a, b) => this.compareRoutes(a, b));
+        }
+        return this.rankedRoutes;
+    }
+
+    compareRoutes(a, b) {
+        const length = Math.max(a.segments.length, b.segments.length);
+        for (let i = 0; i < length; i++) {
+            const rankA = SEGMENT_RANK[a.segments[i]?.kind || 'missing'];
+            const rankB = SEGMENT_RANK[b.segments[i]?.kind || 'missing'];
+            if (rankA !== rankB) {
+                return rankB - rankA;
+            }
+        }
+        // Index routes win over their parent
+        return this.getRouteChain(b).length - this.getRouteChain(a).length;
+    }
+
     /**
-     * Convert path to regex with improved pattern matching
+     * Register a param type for [name:type] segments; register types before the routes using them
+     * Groups in `pattern` are made non-capturing, so backreferences such as \1 are not supported
+     * router.addParamType('hex', { pattern: '[0-9a-f]+', parse: value => parseInt(value, 16) })
      */
-    pathToRegex(path) {
-        // Handle catch-all routes [...param]
-        let pattern = path.replace(this.catchAllRouteRegex, '(.*)');
+    addParamType(name, { pattern, parse = null, validate = null }) {
+        const source = pattern instanceof RegExp ? pattern.source : pattern;
+        this.paramTypes.set(name, { pattern: toNonCapturing(source), parse, validate });
+        return this;
+    }
+
+    getParamType(type, path) {
+        if (!type) {
+            return { pattern: '[^/]+' };
+        }
+        const paramType = this.paramTypes.get(type);
+        if (!paramType) {
+            throw new Error(`[VelocityRouter] Unknown param type "${type}" in route ${path}`);
+        }
+        return paramType;
+    }
+
+    /**
+     * Compile a route path into ranked segments, a regex and its param keys
+     * Segments: static, [id], [id:number], [[id]] (optional), [...rest], [[...rest]] (optional catch-all)
+     */
+    compilePath(path) {
+        const segments = path.split('/').filter(Boolean).map(segment => this.parseSegment(segment, path));
+        const keys = segments.flatMap(segment => segment.keys);
+        const pattern = segments.map(segment => segment.pattern).join('');
         
-        // Handle dynamic routes [param]
-        pattern = pattern.replace(this.dynamicRouteRegex, '([^/]+)');
+        return { regex: new RegExp(`^${pattern || '/'}$`), keys, segments };
+    }
+
+    parseSegment(segment, path) {
+        let match = segment.match(/^\[(\[)?\.\.\.([^\]]+)\]\]?$/);
+        if (match) {
+            const optional = Boolean(match[1]);
+            return {
+                kind: 'catchAll',
+                shape: optional ? '[*]' : '*',
+                keys: [{ name: match[2], catchAll: true, optional }],
+                pattern: optional ? '(?:/(.*))?' : '/(.*)'
+            };
+        }
         
-        // Escape special regex characters
-        pattern = pattern.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+        match = segment.match(/^\[\[([^\]:]+)(?::([^\]]+))?\]\]$/);
+        if (match) {
+            const type = match[2] || null;
+            return {
+                kind: 'optional',
+                shape: `[:${type || 'param'}]`,
+                keys: [{ name: match[1], catchAll: false, optional: true, type }],
+                pattern: `(?:/(${this.getParamType(type, path).pattern}))?`
+            };
+        }
         
-        // Restore replaced patterns
-        pattern = pattern.replace(/\\\(\\\.\\\*\\\)/g, '(.*)');
-        pattern = pattern.replace(/\\\(\\\[\\^\\\/\\\]\\\+\\\)/g, '([^/]+)');
+        // Static text with any number of params, e.g. [id:number] or post-[slug].html
+        const keys = [];
+        let pattern = '/';
+        let shape = '';
+        let lastIndex = 0;
+        const paramRegex = /\[([^\]:]+)(?::([^\]]+))?\]/g;
+        while ((match = paramRegex.exec(segment)) !== null) {
+            const text = segment.slice(lastIndex, match.index);
+            const type = match[2] || null;
+            keys.push({ name: match[1], catchAll: false, optional: false, type });
+            pattern += `${escapeRegex(text)}(${this.getParamType(type, path).pattern})`;
+            shape += `${text}:${type || 'param'}`;
+            lastIndex = paramRegex.lastIndex;
+        }
         
-        return new RegExp(`^${pattern}$`);
+        const rest = segment.slice(lastIndex);
+        if (keys.length === 0) {
+            return { kind: 'static', shape: segment, keys, pattern: pattern + escapeRegex(segment) };
+        }
+        
+        // A plain [id] is the least specific single-segment param; types and surrounding text narrow it
+        const plain = keys.length === 1 && !keys[0].type && segment === `[${keys[0].name}]`;
+        return {
+            kind: plain ? 'dynamic' : 'typed',
+            shape: shape + rest,
+            keys,
+            pattern: pattern + escapeRegex(rest)
+        };
+    }
+
+    /**
+     * Warn when a new route matches exactly the same URLs as an existing one, so only registration order decides
+     */
+    checkRouteConflicts(routeConfig) {
+        const shape = '/' + routeConfig.segments.map(segment => segment.shape).join('/');
+        
+        for (const [path, config] of this.routes) {
+            // An index route shares its parent's URL on purpose
+            if (path === routeConfig.path || path === routeConfig.parent || config.parent === routeConfig.path) continue;
+            
+            const otherShape = '/' + config.segments.map(segment => segment.shape).join('/');
+            if (otherShape !== shape) continue;
+            
+            this.logger.warn(
+                `Route conflict: "${routeConfig.path}" matches the same URLs as "${path}" (${shape}). ` +
+                `"${path}" was registered first and wins, so "${routeConfig.path}" never matches. ` +
+                'Use a static segment or a typed param (e.g. [id:number]) to tell them apart.'
+            );
+        }
     }
 
     /**
@@ -820,33 +1807,30 @@ export class VelocityRouter {
         return await loadPromise;
     }
 
-    extractKeys(path) {
-        const keys = [];
-        let match;
-        
-        const catchAllRegex = /\[\.\.\.([^\]]+)\]/g;
-        while ((match = catchAllRegex.exec(path)) !== null) {
-            keys.push({ name: match[1], catchAll: true });
-        }
-        
-        const dynamicRegex = /\[([^\]]+)\]/g;
-        while ((match = dynamicRegex.exec(path)) !== null) {
-            if (!match[1].startsWith('...')) {
-                keys.push({ name: match[1], catchAll: false });
-            }
-        }
-        
-        return keys;
+    extractParams(pathname, route) {
+        return route.params || this.matchParams(pathname, route.config) || {};
     }
 
-    extractParams(pathname, route) {
-        const params = {};
-        const matches = pathname.match(route.config.regex);
+    /**
+     * Params of the path for this route, or null when it does not match
+     * Typed params are converted; a type's validate() returning false rejects the match
+     */
+    matchParams(pathname, config) {
+        const matches = pathname.match(config.regex);
+        if (!matches) {
+            return null;
+        }
         
-        if (matches && route.config.keys) {
-            route.config.keys.forEach((key, index) => {
-                params[key.name] = matches[index + 1];
-            });
+        const params = {};
+        for (const [index, key] of config.keys.entries()) {
+            const value = matches[index + 1];
+            if (value === undefined) continue;
+            
+            const paramType = key.type ? this.paramTypes.get(key.type) : null;
+            if (paramType?.validate && !paramType.validate(value)) {
+                return null;
+            }
+            params[key.name] = paramType?.parse ? paramType.parse(value) : value;
         }
         
         return params;
@@ -874,20 +1858,59 @@ export class VelocityRouter {
     }
 
     async handlePopState(event) {
+        // The popstate of undoing a blocked back/forward
+        const restoring = this.restoringHistory;
+        if (restoring) {
+            clearTimeout(restoring.timer);
+            this.restoringHistory = null;
+            if (event.state?.index === restoring.index) return;
+        }
+        
         const path = event.state?.path || window.location.pathname + window.location.search;
-        await this.handleRoute(path);
+        const previousIndex = this.historyIndex;
+        const index = event.state?.index;
+        if (typeof index === 'number') {
+            this.historyIndex = index;
+        }
+        
+        const failure = await this.handleRoute(path);
+        
+        // The browser already moved; put the entry of the page the user stayed on back
+        if (failure?.type === 'blocked') {
+            this.restoreHistory(typeof index === 'number' ? index - previousIndex : 0, previousIndex);
+        }
+    }
+
+    restoreHistory(delta, index) {
+        this.historyIndex = index;
+        
+        if (delta) {
+            // Only the popstate landing on `index` is ours; forget it if that never arrives
+            clearTimeout(this.restoringHistory?.timer);
+            this.restoringHistory = {
+                index,
+                timer: setTimeout(() => {
+                    this.restoringHistory = null;
+                }, RESTORE_TIMEOUT)
+            };
+            history.go(-delta);
+        } else if (this.currentRoute) {
+            this.updateHistory(this.currentRoute.fullPath, 'push');
+        }
     }
 
     async redirect(path, replace = true) {
         await this.navigate(path, { replace });
     }
 
-    renderContent(content) {
-        const appElement = document.getElementById('app') || document.body;
+    renderContent(content, target = null) {
+        const appElement = target || document.getElementById('app') || document.body;
         
         if (typeof content === 'string') {
             appElement.innerHTML = content;
-        } else if (content instanceof HTMLElement) {
+        } else if (content instanceof TemplateResult) {
+            appElement.replaceChildren(content.toFragment());
+        } else if (content instanceof Node) {
             appElement.innerHTML = '';
             appElement.appendChild(content);
         }
@@ -929,7 +1952,7 @@ export class VelocityRouter {
     handle404(pathname) {
         this.logger.warn('Route not found:', pathname);
         
-        const notFoundRoute = this.routes.get('*') || this.routes.get('/404');
+        const notFoundRoute = this.getNotFoundRoute();
         if (notFoundRoute) {
             this.executeRouteWithLayout(notFoundRoute, { 
                 path: pathname, 
@@ -937,18 +1960,30 @@ export class VelocityRouter {
                 query: {} 
             });
         } else {
-            this.renderContent('<h1>404 - Page Not Found</h1><p>The requested page could not be found.</p>');
+            this.renderContent(this.getNotFoundContent());
         }
     }
 
+    getNotFoundRoute() {
+        return this.routes.get('*') || this.routes.get('/404') || null;
+    }
+
+    getNotFoundContent() {
+        return '<h1>404 - Page Not Found</h1><p>The requested page could not be found.</p>';
+    }
+
     handleNavigationError(error, path) {
         this.logger.error('Navigation error:', error);
-        this.renderContent(`<h1>Navigation Error</h1><p>Failed to navigate to ${path}</p><p>${error.message}</p>`);
+        this.renderContent(`<h1>Navigation Error</h1><p>Failed to navigate to ${escapeHtml(path)}</p><p>${escapeHtml(error?.message ?? error)}</p>`);
     }
 
     handleRouteError(error, context) {
         this.logger.error('Route error:', error);
-        this.renderContent(`<h1>Route Error</h1><p>Failed to load ${context.path}</p><p>${error.message}</p>`);
+        this.renderContent(this.getRouteErrorContent(error, context));
+    }
+
+    getRouteErrorContent(error, context) {
+        return `<h1>Route Error</h1><p>Failed to load ${escapeHtml(context.path)}</p><p>${escapeHtml(error?.message ?? error)}</p>`;
     }
 
     showLoading() {
@@ -984,6 +2019,8 @@ export class VelocityRouter {
     clearCache() {
         this.pageCache.clear();
         this.layoutCache.clear();
+        this.loaderCache.clear();
+        this.keepAliveCache.clear();
         this.logger.info('Route caches cleared');
     }
 
@@ -3,12 +3,14 @@
  * Advanced SEO optimization and meta management
  */
 
+import { isBrowser } from './utils.js';
+
 class VelocitySEO {
     constructor(config = {}) {
         this.config = {
             // Site Configuration
             siteName: 'VelocityJS App',
-            siteUrl: window.location.origin,
+            siteUrl: isBrowser ? window.location.origin : '',
             defaultTitle: 'VelocityJS - Modern Web Framework',
             titleTemplate: '%s | VelocityJS',
             defaultDescription: 'A modern, fast, and lightweight web framework for building progressive web applications.',
@@ -43,7 +45,10 @@ class VelocitySEO {
         this.breadcrumbs = [];
         this.currentPage = null;
         
-        this.init();
+        // Sitemap and robots.txt generation also work under Node (static generation)
+        if (isBrowser) {
+            this.init();
+        }
     }
     
     /**
@@ -0,0 +1,194 @@
+/**
+ * VelocityStaticGenerator - Static site generation for VelocityJS
+ * Pre-renders registered routes to HTML files under Node (used by `velocity build`)
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export class VelocityStaticGenerator {
+    constructor(app, options = {}) {
+        this.app = app;
+        this.router = app.router;
+        this.logger = app.logger;
+        this.options = {
+            outDir: 'dist',
+            template: null,
+            siteUrl: null,
+            sitemap: true,
+            robots: true,
+            ...options
+        };
+    }
+
+    /**
+     * Render every static path and write it to the output directory
+     */
+    async build() {
+        const report = {
+            pages: [],
+            skipped: [],
+            errors: []
+        };
+
+        const entries = await this.collectPaths(report);
+
+        for (const entry of entries) {
+            try {
+                const result = await this.app.renderToString(entry.path);
+
+                if (result.redirect) {
+                    report.skipped.push({ path: entry.path, reason: `redirects to ${result.redirect}` });
+                    continue;
+                }
+
+                if (result.status >= 400 && !entry.notFound) {
+                    report.errors.push({ path: entry.path, status: result.status });
+                    continue;
+                }
+
+                const file = entry.notFound ? '404.html' : this.getOutputFile(entry.path);
+                await this.write(file, this.app.ssr.renderDocument(result, this.options.template));
+
+                report.pages.push({ path: entry.path, file, route: entry.route });
+                this.logger.info(`Generated ${file}`);
+
+            } catch (error) {
+                this.logger.error(`Static generation failed: ${entry.path}`, error);
+                report.errors.push({ path: entry.path, error: error.message });
+            }
+        }
+
+        await this.writeSeoFiles(report);
+
+        return report;
+    }
+
+    /**
+     * Collect concrete paths from the registered routes
+     */
+    async collectPaths(report) {
+        const entries = [];
+
+        for (const [routePath, config] of this.router.routes) {
+            // Not-found routes become 404.html
+            if (routePath === '*' || routePath === '/404') {
+                if (!entries.some(entry => entry.notFound)) {
+                    entries.push({ path: '/404', route: routePath, notFound: true, config });
+                }
+                continue;
+            }
+
+            // Index routes render at their parent's URL
+            if (config.index) {
+                continue;
+            }
+
+            if (config.keys.length === 0) {
+                entries.push({ path: routePath, route: routePath, config });
+                continue;
+            }
+
+            if (!config.getStaticPaths) {
+                this.logger.warn(`Skipping dynamic route without getStaticPaths(): ${routePath}`);
+                report.skipped.push({ path: routePath, reason: 'dynamic route without getStaticPaths()' });
+                continue;
+            }
+
+            const staticPaths = await config.getStaticPaths();
+            for (const entry of staticPaths || []) {
+                const params = entry?.params || entry;
+                const concretePath = typeof params === 'string' ? params : this.fillPath(routePath, params);
+                entries.push({ path: concretePath, route: routePath, config });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Fill dynamic segments of a route pattern, e.g. /user/[id] with { id: 1 }
+     * Optional segments ([[id]], [[...rest]]) are left out when their param is missing
+     */
+    fillPath(pattern, params = {}) {
+        const path = pattern
+            .replace(/\/\[\[(?:\.\.\.)?([^\]:]+)(?::[^\]]+)?\]\]/g, (match, name) => {
+                const value = params[name];
+                if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+                    return '';
+                }
+                return '/' + this.encodeParam(value, match.includes('...'));
+            })
+            .replace(/\[\.\.\.([^\]]+)\]/g, (match, name) => this.encodeParam(this.getParam(params, name, pattern), true))
+            .replace(/\[([^\]:]+)(?::[^\]]+)?\]/g, (match, name) => this.encodeParam(this.getParam(params, name, pattern)));
+
+        return path || '/';
+    }
+
+    encodeParam(value, catchAll = false) {
+        if (!catchAll) {
+            return encodeURIComponent(value);
+        }
+        const segments = Array.isArray(value) ? value : String(value).split('/');
+        return segments.map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    getParam(params, name, pattern) {
+        if (params[name] === undefined || params[name] === null) {
+            throw new Error(`getStaticPaths() for ${pattern} is missing param: ${name}`);
+        }
+        return params[name];
+    }
+
+    /**
+     * Map a URL path to dist/<path>/index.html
+     */
+    getOutputFile(urlPath) {
+        const segments = urlPath.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+
+        if (segments.some(segment => segment === '..' || segment.includes(path.sep))) {
+            throw new Error(`Refusing to write outside the output directory: ${urlPath}`);
+        }
+
+        return path.join(...segments, 'index.html');
+    }
+
+    /**
+     * Write sitemap.xml and robots.txt through the SEO engine
+     */
+    async writeSeoFiles(report) {
+        const seo = this.app.seoEngine;
+        if (!seo) return;
+
+        if (this.options.siteUrl) {
+            seo.config.siteUrl = this.options.siteUrl.replace(/\/$/, '');
+        }
+
+        if (this.options.sitemap) {
+            const pages = report.pages
+                .filter(page => page.file !== '404.html')
+                .filter(page => this.router.routes.get(page.route)?.sitemap !== false)
+                .map(page => ({
+                    url: page.path,
+                    ...this.router.routes.get(page.route)?.sitemap
+                }));
+
+            const sitemap = seo.generateSitemap(pages);
+            if (sitemap) {
+                await this.write('sitemap.xml', sitemap);
+                this.logger.info('Generated sitemap.xml');
+            }
+        }
+
+        if (this.options.robots) {
+            await this.write('robots.txt', seo.generateRobotsTxt());
+            this.logger.info('Generated robots.txt');
+        }
+    }
+
+    async write(file, content) {
+        const target = path.join(this.options.outDir, file);
+        await mkdir(path.dirname(target), { recursive: true });
+        await writeFile(target, content, 'utf8');
+    }
+}
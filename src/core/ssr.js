@@ -0,0 +1,268 @@
+/**
+ * VelocitySSR - Server-side rendering for VelocityJS
+ * Renders routes to HTML strings under plain Node without touching window or document
+ */
+
+import { isBrowser } from './utils.js';
+
+// Id of the script element carrying the serialized route/state payload
+export const SSR_DATA_ID = 'velocity-ssr-data';
+
+/**
+ * Compare server markup in the DOM with client-rendered markup
+ */
+export function markupMatches(element, html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html ?? '').trim();
+
+    const normalize = (markup) => markup.replace(/>\s+</g, '><').replace(/\s+/g, ' ').trim();
+    return normalize(template.innerHTML) === normalize(element.innerHTML);
+}
+
+export class VelocitySSR {
+    constructor(app) {
+        this.app = app;
+        this.router = app.router;
+        this.head = app.head;
+        this.logger = app.logger;
+    }
+
+    /**
+     * Render a URL to an HTML string
+     * Resolves with { status, html, head, redirect, loaderData, payload, script }
+     */
+    async renderToString(url, options = {}) {
+        const fullPath = this.normalizeUrl(url);
+        const headers = this.normalizeHeaders(options.headers);
+        const cookies = options.cookies || this.parseCookies(headers.cookie);
+
+        const result = {
+            url: fullPath,
+            status: 200,
+            html: '',
+            head: '',
+            redirect: null,
+            loaderData: null,
+            payload: null,
+            script: ''
+        };
+
+        // Each request writes route meta into its own head, so concurrent renders never share tags
+        const head = this.head.fork();
+        // Styles of the components this request renders, by component name
+        const collectedStyles = new Map();
+
+        try {
+            const { pathname } = this.router.parseUrl(fullPath);
+            let route = this.router.matchRoute(pathname);
+
+            if (!route) {
+                this.logger.warn('SSR route not found:', pathname);
+                result.status = 404;
+
+                const notFoundRoute = this.router.getNotFoundRoute();
+                if (!notFoundRoute) {
+                    result.html = this.router.getNotFoundContent();
+                    result.head = head.render();
+                    return result;
+                }
+                route = { path: notFoundRoute.path, config: notFoundRoute };
+            }
+
+            const context = this.createServerContext(route, fullPath, { headers, cookies, head, collectedStyles }, result);
+
+            // Run guards and middleware exactly as the client would; they may block or redirect
+            const outcome = result.status === 404 ? true : await this.router.runNavigationChecks(route, context);
+            if (outcome !== true) {
+                if (outcome) {
+                    result.redirect = outcome.redirect;
+                }
+                result.status = result.redirect ? 302 : 403;
+                return result;
+            }
+
+            this.applyRouteHead(route.config, context);
+
+            try {
+                const content = await this.router.renderRoute(route.config, context, { cache: false });
+                result.html = String(content ?? '');
+                result.loaderData = context.loaderData || null;
+
+                // Rendered by an error boundary
+                if (context.error) {
+                    result.status = context.error.status >= 400 ? context.error.status : 500;
+                }
+            } catch (error) {
+                this.logger.error('SSR route rendering failed:', error);
+                result.status = 500;
+                result.html = this.router.getRouteErrorContent(error, context);
+            }
+
+            // Handlers may redirect while rendering
+            if (result.redirect) {
+                result.status = 302;
+                result.html = '';
+            }
+
+            // Scoped CSS of every component that rendered
+            result.head = head.render() + this.app.styles.renderCollected(collectedStyles);
+            return result;
+
+        } finally {
+            this.attachPayload(result);
+        }
+    }
+
+    /**
+     * Wrap a render result in a full HTML document
+     * Custom templates may use {{head}}, {{content}} and {{state}} placeholders
+     */
+    renderDocument(result, template = null) {
+        if (template) {
+            return template
+                .replace('{{head}}', () => result.head)
+                .replace('{{content}}', () => result.html)
+                .replace('{{state}}', () => result.script);
+        }
+
+        return `<!DOCTYPE html>
+<html lang="${this.app.i18n.currentLocale}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+${result.head}</head>
+<body class="${this.app.theme.getBodyClasses()}">
+<div id="app">${result.html}</div>
+${result.script}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Attach the serialized route/state marker used for client hydration
+     */
+    attachPayload(result) {
+        result.payload = {
+            url: result.url,
+            status: result.status,
+            state: this.app.state.serialize(),
+            // Loader results by route path, so hydration does not fetch them again
+            loaderData: result.loaderData
+        };
+        result.script = this.serializePayload(result.payload);
+    }
+
+    serializePayload(payload) {
+        const json = JSON.stringify(payload)
+            .replace(/</g, '\\u003c')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+
+        return `<script type="application/json" id="${SSR_DATA_ID}">${json}</script>`;
+    }
+
+    /**
+     * Read the hydration payload written by the server (browser only)
+     */
+    readPayload() {
+        if (!isBrowser) return null;
+
+        const element = document.getElementById(SSR_DATA_ID);
+        if (!element) return null;
+
+        try {
+            return JSON.parse(element.textContent);
+        } catch (error) {
+            this.logger.warn('Invalid SSR payload, falling back to client rendering', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a route context whose DOM-bound helpers write into the render result
+     */
+    createServerContext(route, fullPath, request, result) {
+        const context = this.router.createRouteContext(route, fullPath, {
+            isServer: true,
+            headers: request.headers,
+            cookies: request.cookies,
+            // Request-scoped head; page `head` options and the helpers below write here
+            head: request.head,
+            collectedStyles: request.collectedStyles,
+            navigate: async (path) => {
+                result.redirect = path;
+            },
+            redirect: async (path) => {
+                result.redirect = path;
+            },
+            setTitle: (title) => {
+                request.head.setTitle(title, context);
+            },
+            setMeta: (metaData) => {
+                Object.entries(metaData).forEach(([name, content]) => {
+                    request.head.setMeta(name, content, context);
+                });
+            }
+        });
+
+        return context;
+    }
+
+    /**
+     * Copy route title and meta into the request's head
+     */
+    applyRouteHead(routeConfig, context) {
+        const meta = {};
+
+        Object.entries(routeConfig.meta || {}).forEach(([name, content]) => {
+            if (content !== undefined && content !== null) {
+                meta[name] = content;
+            }
+        });
+
+        context.head.update({
+            title: routeConfig.title || null,
+            meta
+        }, context);
+    }
+
+    /**
+     * Strip origin and hash from absolute URLs
+     */
+    normalizeUrl(url = '/') {
+        if (/^https?:\/\//.test(url)) {
+            const parsed = new URL(url);
+            return parsed.pathname + parsed.search;
+        }
+
+        return url.split('#')[0] || '/';
+    }
+
+    normalizeHeaders(headers = {}) {
+        const normalized = {};
+
+        Object.entries(headers).forEach(([name, value]) => {
+            normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+        });
+
+        return normalized;
+    }
+
+    parseCookies(cookieHeader = '') {
+        const cookies = {};
+
+        cookieHeader.split(';').forEach(cookie => {
+            const index = cookie.indexOf('=');
+            if (index > -1) {
+                const name = cookie.slice(0, index).trim();
+                const value = cookie.slice(index + 1).trim();
+                if (name) {
+                    cookies[decodeURIComponent(name)] = decodeURIComponent(value);
+                }
+            }
+        });
+
+        return cookies;
+    }
+}
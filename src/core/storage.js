@@ -3,6 +3,8 @@
  * Provides unified interface for cookies, localStorage, sessionStorage, and IndexedDB
  */
 
+import { isBrowser } from './utils.js';
+
 export class VelocityStorage {
     constructor(logger) {
         this.logger = logger;
@@ -11,38 +13,42 @@ export class VelocityStorage {
         this.db = null;
         this.storeName = 'velocity_store';
         
-        // Initialize IndexedDB
-        this.initIndexedDB();
+        // Initialize IndexedDB; resolves once the database is open (or unavailable)
+        this.dbReady = this.initIndexedDB();
     }
 
     /**
      * Initialize IndexedDB
      */
     async initIndexedDB() {
-        if (!window.indexedDB) {
+        if (!isBrowser || !window.indexedDB) {
             this.logger.warn('IndexedDB not supported');
             return;
         }
 
         try {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
-            
-            request.onerror = () => {
-                this.logger.error('Failed to open IndexedDB');
-            };
+            await new Promise((resolve) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                
+                request.onerror = () => {
+                    this.logger.error('Failed to open IndexedDB');
+                    resolve();
+                };
 
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                this.logger.info('IndexedDB initialized');
-            };
+                request.onsuccess = (event) => {
+                    this.db = event.target.result;
+                    this.logger.info('IndexedDB initialized');
+                    resolve();
+                };
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
-                    store.createIndex('timestamp', 'timestamp', { unique: false });
-                }
-            };
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                        store.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+                };
+            });
         } catch (error) {
             this.logger.error('IndexedDB initialization failed', error);
         }
@@ -0,0 +1,245 @@
+/**
+ * VelocityStyles - Scoped component styles for VelocityJS
+ * Wraps component CSS in @scope rules, injects each stylesheet once and removes it with the last instance
+ */
+
+// Attribute set on a component's root element and used as the scoping root
+export const SCOPE_ATTRIBUTE = 'data-velocity-scope';
+
+// Marks <style> elements injected for a component type
+const STYLE_ATTRIBUTE = 'data-velocity-style';
+
+// Roots of nested components; a component's styles stop there
+const COMPONENT_BOUNDARY = `velocity-component, [${SCOPE_ATTRIBUTE}]`;
+
+/**
+ * Scope `css` to the elements between the `scope` root and the roots of nested components
+ * Selectors match descendants of the root; `:scope` refers to the component root itself
+ */
+export function scopeCss(css, scope) {
+    const { hoisted, scoped } = splitRules(css);
+
+    return `${hoisted}@scope (${scope}) to (${COMPONENT_BOUNDARY}) {\n${scoped}}\n`;
+}
+
+/**
+ * Style rules, with selectors relative to :scope, and the at-rules that must stay outside @scope
+ */
+function splitRules(css) {
+    const source = String(css).replace(/\/\*[\s\S]*?\*\//g, '');
+    let hoisted = '';
+    let scoped = '';
+    let index = 0;
+
+    while (index < source.length) {
+        const open = source.indexOf('{', index);
+        const semicolon = source.indexOf(';', index);
+
+        if (open === -1) {
+            scoped += source.slice(index).trim();
+            break;
+        }
+
+        // Statement at-rules such as @import
+        if (semicolon !== -1 && semicolon < open) {
+            hoisted += source.slice(index, semicolon + 1).trim() + '\n';
+            index = semicolon + 1;
+            continue;
+        }
+
+        const prelude = source.slice(index, open).trim();
+        const close = findClosingBrace(source, open);
+        const body = source.slice(open + 1, close);
+
+        if (/^@(media|supports|container|layer|document)\b/.test(prelude)) {
+            const nested = splitRules(body);
+            hoisted += nested.hoisted;
+            scoped += `${prelude} {\n${nested.scoped}}\n`;
+        } else if (prelude.startsWith('@')) {
+            // @keyframes, @font-face, ... are not selector based
+            hoisted += `${prelude} {${body}}\n`;
+        } else {
+            scoped += `${scopeSelectorList(prelude)} {${body}}\n`;
+        }
+
+        index = close + 1;
+    }
+
+    return { hoisted, scoped };
+}
+
+function scopeSelectorList(selectorList) {
+    return splitSelectors(selectorList)
+        .map(selector => selector.trim())
+        .filter(Boolean)
+        .map(selector => selector.includes(':scope') ? selector : `:scope ${selector}`)
+        .join(', ');
+}
+
+/**
+ * Split on top-level commas only, so :is(a, b) stays intact
+ */
+function splitSelectors(selectorList) {
+    const selectors = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of selectorList) {
+        if (char === '(' || char === '[') depth++;
+        if (char === ')' || char === ']') depth--;
+
+        if (char === ',' && depth === 0) {
+            selectors.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    selectors.push(current);
+    return selectors;
+}
+
+function findClosingBrace(source, open) {
+    let depth = 0;
+
+    for (let i = open; i < source.length; i++) {
+        if (source[i] === '{') depth++;
+        if (source[i] === '}' && --depth === 0) {
+            return i;
+        }
+    }
+
+    return source.length;
+}
+
+export class VelocityStyles {
+    constructor(logger) {
+        this.logger = logger;
+        this.compiled = new Map();
+        // Injected sheets per root (document or shadow root): Map<name, { node, sheet, count }>
+        this.roots = new Map();
+    }
+
+    scopeId(name) {
+        return String(name).replace(/[^\w-]/g, '-');
+    }
+
+    scopeSelector(name) {
+        return `[${SCOPE_ATTRIBUTE}="${this.scopeId(name)}"]`;
+    }
+
+    /**
+     * Compiled CSS for a component type; inside a shadow root no prefixing is needed
+     */
+    getCss(name, styles, shadow = false) {
+        const cacheKey = `${name}|${shadow}`;
+
+        if (!this.compiled.has(cacheKey)) {
+            const css = shadow
+                ? String(styles).replace(/:scope\b/g, ':host')
+                : scopeCss(styles, this.scopeSelector(name));
+            this.compiled.set(cacheKey, css);
+        }
+
+        return this.compiled.get(cacheKey);
+    }
+
+    /**
+     * Inject a component's styles into the root its element lives in, once per component type
+     */
+    acquire(component) {
+        if (!component.styles || component.styleRoot) return;
+
+        const root = component.element?.getRootNode ? component.element.getRootNode() : document;
+        const shadow = typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot;
+        const target = shadow ? root : document;
+
+        if (!this.roots.has(target)) {
+            this.roots.set(target, new Map());
+        }
+
+        const sheets = this.roots.get(target);
+        let entry = sheets.get(component.name);
+
+        if (!entry) {
+            entry = this.inject(target, component.name, this.getCss(component.name, component.styles, shadow), shadow);
+            sheets.set(component.name, entry);
+        }
+
+        entry.count++;
+        component.styleRoot = target;
+    }
+
+    /**
+     * Drop an instance's reference; the stylesheet is removed with the last instance
+     */
+    release(component) {
+        const target = component.styleRoot;
+        component.styleRoot = null;
+
+        const sheets = target && this.roots.get(target);
+        const entry = sheets?.get(component.name);
+        if (!entry || --entry.count > 0) return;
+
+        if (entry.sheet) {
+            target.adoptedStyleSheets = target.adoptedStyleSheets.filter(sheet => sheet !== entry.sheet);
+        } else {
+            entry.node?.remove();
+        }
+
+        sheets.delete(component.name);
+        if (sheets.size === 0) {
+            this.roots.delete(target);
+        }
+    }
+
+    inject(target, name, css, shadow) {
+        // Constructable stylesheets for shadow roots where supported
+        if (shadow && 'adoptedStyleSheets' in target && typeof CSSStyleSheet === 'function') {
+            try {
+                const sheet = new CSSStyleSheet();
+                sheet.replaceSync(css);
+                target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet];
+                return { sheet, node: null, count: 0 };
+            } catch (error) {
+                this.logger.warn('Constructable stylesheet failed, falling back to <style>', error);
+            }
+        }
+
+        // Reuse a server-rendered <style> after hydration
+        const scopeId = this.scopeId(name);
+        let node = shadow ? null : document.head.querySelector(`style[${STYLE_ATTRIBUTE}="${scopeId}"]`);
+
+        if (!node) {
+            node = document.createElement('style');
+            node.setAttribute(STYLE_ATTRIBUTE, scopeId);
+            node.textContent = css;
+            if (shadow) {
+                target.prepend(node);
+            } else {
+                document.head.appendChild(node);
+            }
+        }
+
+        return { sheet: null, node, count: 0 };
+    }
+
+    /**
+     * Record a rendered component type in a server render's collection (name -> styles)
+     */
+    collect(component, collected) {
+        if (collected && component.styles) {
+            collected.set(component.name, component.styles);
+        }
+    }
+
+    /**
+     * <style> tags for every component type in a collection
+     */
+    renderCollected(collected) {
+        return Array.from(collected)
+            .map(([name, styles]) => `<style ${STYLE_ATTRIBUTE}="${this.scopeId(name)}">${this.getCss(name, styles).replace(/<\/style/gi, '<\\/style')}</style>\n`)
+            .join('');
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * VelocityTemplate - `html` tagged templates for VelocityJS
+ * Escapes interpolated values and supports @event and .property bindings
+ */
+
+import { bindElement } from './dom.js';
+import { escapeHtml } from './utils.js';
+
+// Marker attribute prefix for bindings, removed once the fragment is built
+const BIND_ATTRIBUTE = 'data-velocity-bind-';
+
+// Attribute position at the end of a static chunk: ` @click=` / ` .value="`
+const BINDING_PATTERN = /\s([@.][^\s"'>\/=]+)=(["']?)$/;
+
+// Unquoted attribute value position: ` href=`
+const UNQUOTED_VALUE_PATTERN = /=\s*$/;
+
+// Template strings -> markup state before each value, shared by every render of a call site
+const contextCache = new WeakMap();
+
+/**
+ * Trusted markup that is inserted without escaping
+ */
+export class UnsafeHTML {
+    constructor(value) {
+        this.value = String(value ?? '');
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+export function unsafeHTML(value) {
+    return new UnsafeHTML(value);
+}
+
+/**
+ * Result of an `html` tagged template
+ * Renders to an escaped string on the server and to a bound DocumentFragment in the browser
+ */
+export class TemplateResult {
+    constructor(strings, values) {
+        this.strings = strings;
+        this.values = values;
+        // Component used as `this` in event handlers; nested templates may carry their own
+        this.host = null;
+    }
+
+    /**
+     * Markup without bindings (SSR, layouts, hydration checks)
+     */
+    toString() {
+        return this.build(null);
+    }
+
+    /**
+     * Build a DocumentFragment with event listeners and properties attached
+     * `options.host` becomes `this` inside event handlers
+     */
+    toFragment(options = {}) {
+        const bindings = [];
+        const template = document.createElement('template');
+        template.innerHTML = this.build(bindings);
+
+        const elements = new Map();
+
+        bindings.forEach((binding, index) => {
+            const attribute = `${BIND_ATTRIBUTE}${index}`;
+            const element = template.content.querySelector(`[${attribute}]`);
+            if (!element) return;
+
+            element.removeAttribute(attribute);
+
+            if (!elements.has(element)) {
+                elements.set(element, { events: {}, props: {}, host: binding.host });
+            }
+
+            const target = elements.get(element);
+            if (binding.type === '@') {
+                target.events[binding.name] = binding.value;
+            } else {
+                target.props[binding.name] = binding.value;
+            }
+        });
+
+        elements.forEach((elementBindings, element) => {
+            bindElement(element, elementBindings, elementBindings.host ?? options.host);
+        });
+
+        return template.content;
+    }
+
+    /**
+     * Join strings and values; bindings are collected into `bindings` or dropped when it is null
+     */
+    build(bindings, host = this.host) {
+        let markup = '';
+        let skipQuote = null;
+        const contexts = getValueContexts(this.strings);
+
+        this.strings.forEach((chunk, index) => {
+            if (skipQuote && chunk.startsWith(skipQuote)) {
+                chunk = chunk.slice(1);
+            }
+            skipQuote = null;
+
+            if (index === this.values.length) {
+                markup += chunk;
+                return;
+            }
+
+            const value = this.values[index];
+            const position = contexts[index];
+            const match = position.inTag ? chunk.match(BINDING_PATTERN) : null;
+            // A binding's own quote is the only one that may be open
+            const binding = match && (match[2] || null) === position.quote ? match : null;
+
+            if (binding) {
+                markup += chunk.slice(0, binding.index);
+                skipQuote = binding[2] || null;
+
+                if (bindings) {
+                    markup += ` ${BIND_ATTRIBUTE}${bindings.length}`;
+                    bindings.push({
+                        type: binding[1][0],
+                        name: binding[1].slice(1),
+                        value,
+                        host
+                    });
+                }
+                return;
+            }
+
+            // Quote unquoted attribute values so an interpolation cannot add attributes
+            if (position.inTag && !position.quote && UNQUOTED_VALUE_PATTERN.test(chunk)) {
+                markup += `${chunk}"${renderValue(value, null, host)}"`;
+                return;
+            }
+
+            markup += chunk + renderValue(value, bindings, host);
+        });
+
+        return markup;
+    }
+}
+
+/**
+ * Whether each value sits inside an open tag, and inside which attribute quote
+ * Interpolated values are escaped, so only the static chunks move the state
+ */
+function getValueContexts(strings) {
+    if (contextCache.has(strings)) {
+        return contextCache.get(strings);
+    }
+
+    const contexts = [];
+    let state = { inTag: false, quote: null, comment: false };
+
+    strings.forEach(chunk => {
+        state = scanMarkup(chunk, state);
+        contexts.push({ inTag: state.inTag, quote: state.quote });
+    });
+
+    contextCache.set(strings, contexts);
+    return contexts;
+}
+
+function scanMarkup(chunk, state) {
+    let { inTag, quote, comment } = state;
+
+    for (let i = 0; i < chunk.length; i++) {
+        const char = chunk[i];
+
+        if (comment) {
+            if (chunk.startsWith('-->', i)) {
+                comment = false;
+                i += 2;
+            }
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if (inTag) {
+            if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '>') {
+                inTag = false;
+            }
+        } else if (chunk.startsWith('<!--', i)) {
+            comment = true;
+            i += 3;
+        } else if (char === '<' && /[a-zA-Z]/.test(chunk[i + 1] || '')) {
+            inTag = true;
+        }
+    }
+
+    return { inTag, quote, comment };
+}
+
+function renderValue(value, bindings, host) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+
+    if (value instanceof TemplateResult) {
+        return value.build(bindings, value.host ?? host);
+    }
+
+    // Renderables such as nested component references
+    if (typeof value.toTemplate === 'function') {
+        return renderValue(value.toTemplate(), bindings, host);
+    }
+
+    if (value instanceof UnsafeHTML) {
+        return value.value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => renderValue(item, bindings, host)).join('');
+    }
+
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template: html`<button @click=${save}>${label}</button>`
+ */
+export function html(strings, ...values) {
+    return new TemplateResult(strings, values);
+}
+
+/**
+ * Replace a placeholder such as {{content}} while keeping the bindings of both sides
+ * Plain string markup is trusted, as with string layouts
+ */
+export function insertTemplate(markup, placeholder, content) {
+    const outer = markup instanceof TemplateResult ? markup : new TemplateResult([String(markup)], []);
+    const inner = content instanceof TemplateResult ? content : unsafeHTML(content);
+
+    const index = outer.strings.findIndex(chunk => chunk.includes(placeholder));
+    if (index === -1) {
+        return outer;
+    }
+
+    const [before, ...after] = outer.strings[index].split(placeholder);
+
+    const result = new TemplateResult(
+        [...outer.strings.slice(0, index), before, after.join(placeholder), ...outer.strings.slice(index + 1)],
+        [...outer.values.slice(0, index), inner, ...outer.values.slice(index)]
+    );
+    result.host = outer.host;
+
+    return result;
+}
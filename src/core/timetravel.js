@@ -0,0 +1,307 @@
+/**
+ * VelocityTimeTravel - Store action log and time-travel debugging for VelocityJS
+ * Records commits and dispatches with state diffs, steps through recorded states and replays sessions
+ */
+
+const SESSION_VERSION = 1;
+
+/**
+ * Deep copy for the log; values that cannot be cloned (functions, DOM nodes) are described instead
+ */
+function snapshot(value) {
+    try {
+        return structuredClone(value);
+    } catch {
+        try {
+            return JSON.parse(JSON.stringify(value));
+        } catch {
+            return String(value);
+        }
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' &&
+        (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+/**
+ * Changed leaves between two states: [{ path: 'cart.items.0', before, after }]
+ */
+export function diffState(before, after, path = '') {
+    if (Object.is(before, after)) return [];
+
+    if (!isPlainObject(before) || !isPlainObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+        return [{ path, before, after }];
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    keys.forEach(key => {
+        changes.push(...diffState(before[key], after[key], path ? `${path}.${key}` : key));
+    });
+
+    return changes;
+}
+
+export class VelocityTimeTravel {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.limit = options.limit || 500;
+        // Attached stores in creation order; sessions refer to stores by this index
+        this.stores = [];
+        this.entries = [];
+        // Index of the entry whose state is shown; -1 is the initial state
+        this.cursor = -1;
+        this.traveling = false;
+        this.listeners = [];
+        this.nextId = 1;
+        // Pending dispatch -> its log entry
+        this.pendingActions = new WeakMap();
+    }
+
+    /**
+     * Start recording a store's commits and dispatches
+     */
+    attach(store) {
+        if (this.stores.some(record => record.store === store)) return;
+
+        const record = {
+            store,
+            index: this.stores.length,
+            initial: snapshot(store.rawState),
+            current: snapshot(store.rawState)
+        };
+
+        record.unsubscribe = store.subscribe((state, oldState, mutation) => {
+            if (this.traveling) return;
+            this.recordMutation(record, mutation);
+        });
+
+        record.unsubscribeAction = store.subscribeAction({
+            before: (action) => this.pendingActions.set(action, this.recordAction(record, action)),
+            after: (action) => this.settleAction(record, action, 'resolved'),
+            error: (action, state, error) => this.settleAction(record, action, 'rejected', error)
+        });
+
+        this.stores.push(record);
+    }
+
+    detach(store) {
+        const record = this.stores.find(item => item.store === store);
+        if (!record) return;
+
+        record.unsubscribe();
+        record.unsubscribeAction();
+        record.store = null;
+    }
+
+    recordMutation(record, mutation) {
+        const state = snapshot(record.store.rawState);
+
+        this.push({
+            kind: 'mutation',
+            store: record.index,
+            type: mutation?.type ?? 'unknown',
+            payload: snapshot(mutation?.payload),
+            diff: diffState(record.current, state),
+            state
+        });
+
+        record.current = state;
+    }
+
+    recordAction(record, action) {
+        return this.push({
+            kind: 'action',
+            store: record.index,
+            type: action.type,
+            payload: snapshot(action.payload),
+            status: 'pending',
+            before: record.current,
+            diff: []
+        });
+    }
+
+    settleAction(record, action, status, error = null) {
+        const entry = this.pendingActions.get(action);
+        if (!entry) return;
+        this.pendingActions.delete(action);
+
+        entry.status = status;
+        entry.duration = Date.now() - entry.timestamp;
+        entry.diff = diffState(entry.before, record.current);
+        if (error) {
+            entry.error = error?.message || String(error);
+        }
+        delete entry.before;
+
+        this.emit();
+    }
+
+    push(entry) {
+        // New activity after stepping back discards the undone future
+        if (this.cursor < this.entries.length - 1) {
+            this.entries.splice(this.cursor + 1);
+        }
+
+        const fullEntry = { id: this.nextId++, timestamp: Date.now(), ...entry };
+        this.entries.push(fullEntry);
+
+        if (this.entries.length > this.limit) {
+            const dropped = this.entries.shift();
+            if (dropped.state) {
+                this.stores[dropped.store].initial = dropped.state;
+            }
+        }
+
+        this.cursor = this.entries.length - 1;
+        this.emit();
+        return fullEntry;
+    }
+
+    /**
+     * State of every store as of entry `index` (-1 = initial state)
+     */
+    statesAt(index) {
+        const states = this.stores.map(record => record.initial);
+
+        this.entries.slice(0, index + 1).forEach(entry => {
+            if (entry.state) {
+                states[entry.store] = entry.state;
+            }
+        });
+
+        return states;
+    }
+
+    /**
+     * Show the state as of entry `index` without touching the log
+     */
+    travelTo(index) {
+        const target = Math.max(-1, Math.min(index, this.entries.length - 1));
+        const states = this.statesAt(target);
+
+        this.traveling = true;
+        try {
+            this.stores.forEach((record, storeIndex) => {
+                if (!record.store) return;
+                record.store.replaceState(snapshot(states[storeIndex]));
+                record.current = states[storeIndex];
+            });
+        } finally {
+            this.traveling = false;
+        }
+
+        this.cursor = target;
+        this.emit();
+    }
+
+    stepBack() {
+        this.travelTo(this.cursor - 1);
+    }
+
+    stepForward() {
+        this.travelTo(this.cursor + 1);
+    }
+
+    /**
+     * Rewind to the state before `from` and commit the recorded mutations up to `to` again
+     * Actions are not re-run, their mutations are part of the log
+     */
+    async replay(from = 0, to = this.entries.length - 1, options = {}) {
+        const { delay = 300 } = options;
+        const mutations = this.entries.slice(from, to + 1).filter(entry => entry.kind === 'mutation');
+
+        this.travelTo(from - 1);
+
+        for (const entry of mutations) {
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            const record = this.stores[entry.store];
+            if (!record?.store) continue;
+
+            this.traveling = true;
+            try {
+                if (entry.type === 'replaceState') {
+                    record.store.replaceState(snapshot(entry.state));
+                } else {
+                    record.store.commit(entry.type, snapshot(entry.payload));
+                }
+            } finally {
+                this.traveling = false;
+            }
+
+            record.current = snapshot(record.store.rawState);
+            this.cursor = this.entries.indexOf(entry);
+            this.emit();
+        }
+    }
+
+    /**
+     * Session as JSON, for attaching to bug reports
+     */
+    exportSession() {
+        return JSON.stringify({
+            version: SESSION_VERSION,
+            exportedAt: new Date().toISOString(),
+            cursor: this.cursor,
+            stores: this.stores.map(record => ({ initial: record.initial })),
+            entries: this.entries
+        }, null, 2);
+    }
+
+    /**
+     * Load an exported session and show its state; stores are matched by creation order
+     */
+    importSession(json) {
+        const session = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (session?.version !== SESSION_VERSION || !Array.isArray(session.entries)) {
+            throw new Error('[VelocityTimeTravel] Unsupported session format');
+        }
+
+        if (session.stores.length !== this.stores.length) {
+            this.logger.warn(`Session has ${session.stores.length} stores, app has ${this.stores.length}`);
+        }
+
+        this.stores.forEach((record, index) => {
+            if (session.stores[index]) {
+                record.initial = session.stores[index].initial;
+            }
+        });
+
+        this.entries = session.entries.filter(entry => entry.store < this.stores.length);
+        this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+        this.travelTo(Math.min(session.cursor ?? this.entries.length - 1, this.entries.length - 1));
+    }
+
+    clear() {
+        this.entries = [];
+        this.cursor = -1;
+        this.stores.forEach(record => {
+            if (record.store) {
+                record.initial = snapshot(record.store.rawState);
+                record.current = record.initial;
+            }
+        });
+        this.emit();
+    }
+
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            const index = this.listeners.indexOf(callback);
+            if (index > -1) {
+                this.listeners.splice(index, 1);
+            }
+        };
+    }
+
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
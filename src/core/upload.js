@@ -0,0 +1,423 @@
+/**
+ * VelocityUploads - Resumable chunked uploads for VelocityJS
+ * Files are sent in chunks over the tus protocol (https://tus.io); upload state is kept in IndexedDB so uploads continue after a reload
+ */
+
+import { HttpError } from './network.js';
+
+const TUS_VERSION = '1.0.0';
+const INDEX_KEY = 'velocity-uploads';
+const FILE_KEY_PREFIX = 'velocity-upload-file:';
+// Consecutive offset mismatches tolerated before giving up
+const MAX_OFFSET_CONFLICTS = 3;
+
+const DEFAULT_OPTIONS = {
+    chunkSize: 5 * 1024 * 1024,
+    // Attempts per chunk request
+    retries: 3,
+    // Keep the file in IndexedDB so resumeAll() can continue without the user picking it again
+    storeFile: false,
+    metadata: {},
+    headers: {}
+};
+
+/**
+ * Same endpoint and file give the same id, so uploading the file again resumes it
+ */
+export function uploadFingerprint(url, file) {
+    return ['tus', url, file.name, file.type, file.size, file.lastModified].join('|');
+}
+
+/**
+ * Upload-Metadata header: comma-separated "key base64(value)" pairs
+ */
+function encodeMetadata(metadata) {
+    return Object.entries(metadata)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => {
+            const bytes = new TextEncoder().encode(String(value));
+            return `${key} ${btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''))}`;
+        })
+        .join(',');
+}
+
+/**
+ * One chunked upload; start() and resume() continue from the offset the server reports
+ */
+export class VelocityUpload {
+    constructor(manager, url, file, options) {
+        this.manager = manager;
+        this.network = manager.network;
+        this.url = url;
+        this.file = file;
+        this.options = options;
+        this.id = options.id || uploadFingerprint(url, file);
+        this.size = file.size;
+        this.location = null;
+        this.offset = 0;
+        this.status = 'idle';
+        this.error = null;
+        this.controller = null;
+        this.running = null;
+        this.listeners = new Map();
+    }
+
+    get progress() {
+        return {
+            loaded: this.offset,
+            total: this.size,
+            percent: this.size ? (this.offset / this.size) * 100 : 100
+        };
+    }
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+        return () => {
+            const listeners = this.listeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    emit(event, detail) {
+        (this.listeners.get(event) || []).forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                this.manager.logger.error('Upload event callback error:', error);
+            }
+        });
+    }
+
+    emitProgress(loaded) {
+        const progress = {
+            loaded,
+            total: this.size,
+            percent: this.size ? Math.min(100, (loaded / this.size) * 100) : 100
+        };
+        this.options.onProgress?.(progress);
+        this.emit('progress', progress);
+    }
+
+    /**
+     * Upload the remaining chunks; resolves with { location, size }
+     * pause() rejects the pending promise with an AbortError
+     */
+    start() {
+        if (!this.running) {
+            this.running = this.run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    resume() {
+        return this.start();
+    }
+
+    pause() {
+        if (this.controller) {
+            this.status = 'paused';
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Stop and delete the upload on the server and locally
+     */
+    async abort() {
+        this.pause();
+        await this.running?.catch(() => {});
+        this.status = 'aborted';
+
+        if (this.location) {
+            await this.network.request(this.location, {
+                ...this.requestOptions(),
+                method: 'DELETE',
+                retries: 0,
+                headers: this.headers()
+            }).catch(error => this.manager.logger.warn('Failed to delete upload on the server', error));
+        }
+
+        await this.manager.forget(this.id);
+    }
+
+    async run() {
+        this.status = 'uploading';
+        this.error = null;
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        try {
+            await this.manager.storeFile(this);
+            await this.locate(signal);
+            this.emitProgress(this.offset);
+
+            let conflicts = 0;
+            while (this.offset < this.size) {
+                try {
+                    await this.sendChunk(signal);
+                    conflicts = 0;
+                } catch (error) {
+                    // Offset out of sync, e.g. a retried chunk that partly arrived: continue from the server's offset
+                    if (error instanceof HttpError && error.status === 409 && ++conflicts <= MAX_OFFSET_CONFLICTS) {
+                        this.offset = await this.fetchOffset(signal);
+                        continue;
+                    }
+                    throw error;
+                }
+            }
+
+            this.status = 'completed';
+            await this.manager.forget(this.id);
+
+            const result = { location: this.location, size: this.size };
+            this.emit('complete', result);
+            return result;
+        } catch (error) {
+            if (!signal.aborted) {
+                this.status = 'error';
+                this.error = error;
+                this.manager.logger.error(`Upload failed at ${this.offset}/${this.size} bytes: ${this.file.name}`, error);
+                this.emit('error', error);
+            }
+            throw error;
+        } finally {
+            this.controller = null;
+        }
+    }
+
+    headers(extra = {}) {
+        return { ...this.options.headers, 'Tus-Resumable': TUS_VERSION, ...extra };
+    }
+
+    requestOptions(signal) {
+        return {
+            signal,
+            cache: false,
+            offline: false,
+            retries: this.options.retries,
+            timeout: this.options.timeout
+        };
+    }
+
+    /**
+     * Continue the saved upload if the server still has it, otherwise create a new one
+     */
+    async locate(signal) {
+        if (!this.location) {
+            const saved = await this.manager.read(this.id);
+            this.location = saved?.location || null;
+        }
+
+        if (this.location) {
+            try {
+                this.offset = await this.fetchOffset(signal);
+                return;
+            } catch (error) {
+                if (!(error instanceof HttpError) || ![403, 404, 410].includes(error.status)) {
+                    throw error;
+                }
+                this.manager.logger.info(`Upload expired on the server, starting over: ${this.file.name}`);
+                this.location = null;
+            }
+        }
+
+        await this.create(signal);
+    }
+
+    async create(signal) {
+        const response = await this.network.request(this.url, {
+            ...this.requestOptions(signal),
+            method: 'POST',
+            headers: this.headers({
+                'Upload-Length': String(this.size),
+                'Upload-Metadata': encodeMetadata({
+                    filename: this.file.name,
+                    filetype: this.file.type,
+                    ...this.options.metadata
+                })
+            })
+        });
+
+        const location = response.headers.get('location');
+        if (!location) {
+            throw new Error('[VelocityUploads] Server did not return an upload Location');
+        }
+
+        this.location = new URL(location, response.url || new URL(this.url, globalThis.location?.href)).href;
+        this.offset = 0;
+        await this.manager.save(this);
+    }
+
+    async fetchOffset(signal) {
+        const response = await this.network.request(this.location, {
+            ...this.requestOptions(signal),
+            method: 'HEAD',
+            headers: this.headers()
+        });
+
+        const offset = response.headers.get('upload-offset');
+        if (offset === null || !Number.isFinite(Number(offset))) {
+            throw new Error('[VelocityUploads] Server did not return Upload-Offset');
+        }
+        return Number(offset);
+    }
+
+    async sendChunk(signal) {
+        const start = this.offset;
+        const chunk = this.file.slice(start, Math.min(start + this.options.chunkSize, this.size));
+
+        const response = await this.network.request(this.location, {
+            ...this.requestOptions(signal),
+            method: 'PATCH',
+            headers: this.headers({
+                'Upload-Offset': String(start),
+                'Content-Type': 'application/offset+octet-stream'
+            }),
+            body: chunk,
+            onUploadProgress: ({ loaded }) => this.emitProgress(start + loaded)
+        });
+
+        const offset = response.headers.get('upload-offset');
+        this.offset = offset !== null && Number.isFinite(Number(offset)) ? Number(offset) : start + chunk.size;
+
+        await this.manager.save(this);
+        this.emitProgress(this.offset);
+        this.emit('chunk', { start, end: this.offset });
+    }
+}
+
+export class VelocityUploads {
+    constructor(network, storage, logger, options = {}) {
+        this.network = network;
+        this.storage = storage;
+        this.logger = logger;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        // Uploads of this page by id
+        this.uploads = new Map();
+        // Index updates run one after another so concurrent uploads do not overwrite each other
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Chunked upload of `file` to a tus endpoint; call start() on the result
+     * The same file uploaded to the same URL again continues where it stopped
+     */
+    upload(url, file, options = {}) {
+        const merged = { ...this.options, ...options, headers: { ...this.options.headers, ...options.headers } };
+        const id = merged.id || uploadFingerprint(url, file);
+
+        if (this.uploads.has(id)) {
+            const upload = this.uploads.get(id);
+            upload.options = { ...merged, id };
+            return upload;
+        }
+
+        const upload = new VelocityUpload(this, url, file, { ...merged, id });
+        this.uploads.set(id, upload);
+        return upload;
+    }
+
+    /**
+     * Saved uploads that have not finished: [{ id, url, name, size, offset, hasFile }]
+     */
+    async pending() {
+        return Object.values(await this.index());
+    }
+
+    /**
+     * Continue every saved upload whose file was stored (options.storeFile)
+     */
+    async resumeAll(options = {}) {
+        const uploads = [];
+
+        for (const record of await this.pending()) {
+            if (!record.hasFile || this.uploads.get(record.id)?.running) continue;
+
+            const file = await this.storage.getIndexed(FILE_KEY_PREFIX + record.id).catch(() => null);
+            if (!file) continue;
+
+            const upload = this.upload(record.url, file, { ...record.options, ...options, id: record.id });
+            upload.start().catch(error => {
+                if (error?.name !== 'AbortError') {
+                    this.logger.error(`Resumed upload failed: ${record.name}`, error);
+                }
+            });
+            uploads.push(upload);
+        }
+
+        return uploads;
+    }
+
+    async available() {
+        await this.storage.dbReady;
+        return Boolean(this.storage.db);
+    }
+
+    async index() {
+        if (!await this.available()) return {};
+        return await this.storage.getIndexed(INDEX_KEY).catch(() => null) || {};
+    }
+
+    async read(id) {
+        return (await this.index())[id] || null;
+    }
+
+    update(change) {
+        const write = this.writes.then(async () => {
+            if (!await this.available()) return;
+            const index = await this.index();
+            change(index);
+            await this.storage.setIndexed(INDEX_KEY, index);
+        });
+        this.writes = write.catch(error => this.logger.error('Failed to save upload state', error));
+        return this.writes;
+    }
+
+    save(upload) {
+        return this.update(index => {
+            index[upload.id] = {
+                id: upload.id,
+                url: upload.url,
+                location: upload.location,
+                offset: upload.offset,
+                size: upload.size,
+                name: upload.file.name,
+                type: upload.file.type,
+                hasFile: Boolean(upload.options.storeFile),
+                options: {
+                    chunkSize: upload.options.chunkSize,
+                    metadata: upload.options.metadata,
+                    storeFile: upload.options.storeFile
+                },
+                updatedAt: Date.now()
+            };
+        });
+    }
+
+    async storeFile(upload) {
+        if (!upload.options.storeFile || !await this.available()) return;
+
+        // Written once; later runs of the same upload already have it
+        if (!(await this.read(upload.id))?.hasFile) {
+            await this.storage.setIndexed(FILE_KEY_PREFIX + upload.id, upload.file);
+        }
+    }
+
+    async forget(id) {
+        this.uploads.delete(id);
+        await this.update(index => {
+            delete index[id];
+        });
+        if (await this.available()) {
+            await this.storage.removeIndexed(FILE_KEY_PREFIX + id).catch(() => {});
+        }
+    }
+}
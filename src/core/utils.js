@@ -1,3 +1,28 @@
+/**
+ * True when running in a browser, false under Node (SSR / static generation)
+ */
+export const isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
+
+/**
+ * URLs with a scheme (http:, wss:, data:, ...) or protocol-relative ones, which must not get a base URL
+ */
+export const isAbsoluteUrl = (url) => /^([a-z][a-z\d+.-]*:|\/\/)/i.test(url);
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or attribute values
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 export class VelocityUtils {
     constructor() {
         this.eventListeners = new Map();
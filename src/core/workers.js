@@ -743,7 +743,7 @@ self.addEventListener('message', async function(e) {
                 result = await batchRequests(data, options);
                 break;
             case 'download':
-                result = await downloadFile(data, options);
+                result = await downloadFile(data, options, id);
                 break;
             case 'upload':
                 result = await uploadFile(data, options);
@@ -795,8 +795,8 @@ async function batchRequests(requests, options) {
     return results;
 }
 
-async function downloadFile(data, options) {
-    const { url, onProgress } = data;
+async function downloadFile(data, options, id) {
+    const { url } = data;
     const response = await fetch(url);
     
     if (!response.ok) {
@@ -818,12 +818,14 @@ async function downloadFile(data, options) {
         chunks.push(value);
         loaded += value.length;
         
-        if (onProgress && total) {
+        // Functions cannot be posted to a worker; the page asks for progress with options.progress
+        if (options.progress) {
             self.postMessage({
+                id,
                 type: 'progress',
                 loaded,
-                total,
-                percent: (loaded / total) * 100
+                total: total || null,
+                percent: total ? (loaded / total) * 100 : null
             });
         }
     }
@@ -1126,6 +1128,48 @@ function mergeData(local, remote) {
         });
     }
     
+    /**
+     * Run a network worker operation ('download', 'upload', 'batch', 'sync')
+     * options.onProgress receives { loaded, total, percent } for downloads
+     */
+    async network(operation, data, options = {}) {
+        const worker = this.workers.get('networkWorker');
+        if (!worker) {
+            throw new Error('Network worker not available');
+        }
+        
+        const { onProgress, ...workerOptions } = options;
+        const taskId = this.generateTaskId();
+        
+        return new Promise((resolve, reject) => {
+            const handler = (e) => {
+                if (e.data.id !== taskId) return;
+                
+                if (e.data.type === 'progress') {
+                    const { loaded, total, percent } = e.data;
+                    onProgress?.({ loaded, total, percent });
+                    return;
+                }
+                
+                worker.removeEventListener('message', handler);
+                
+                if (e.data.success) {
+                    resolve(e.data.result);
+                } else {
+                    reject(new Error(e.data.error));
+                }
+            };
+            
+            worker.addEventListener('message', handler);
+            worker.postMessage({
+                id: taskId,
+                operation,
+                data,
+                options: { ...workerOptions, progress: Boolean(onProgress) }
+            });
+        });
+    }
+    
     /**
      * Create shared worker
      */
@@ -3,21 +3,44 @@
  * A comprehensive framework providing Next.js-like features with vanilla JavaScript
  */
 
-import { VelocityRouter } from './core/router.js';
+import { VelocityRouter, NavigationFailure } from './core/router.js';
 import { VelocityStorage } from './core/storage.js';
 import { VelocityNetwork } from './core/network.js';
 import { VelocityLogger } from './core/logger.js';
-import { VelocityUtils } from './core/utils.js';
+import { VelocityUtils, isBrowser, escapeHtml } from './core/utils.js';
+import { VelocitySSR, markupMatches } from './core/ssr.js';
+import { patch } from './core/dom.js';
+import { html, unsafeHTML, TemplateResult } from './core/template.js';
+import { createComponentElement } from './core/elements.js';
+import { VelocityStyles, SCOPE_ATTRIBUTE } from './core/styles.js';
+import { VelocityStorePersistence } from './core/persist.js';
+import { VelocityTimeTravel } from './core/timetravel.js';
+import { createHistory } from './core/history.js';
+import { VelocityQueryClient } from './core/query.js';
+import { VelocityAuth } from './core/auth.js';
+import { VelocityUploads } from './core/upload.js';
+import {
+    createReactive, Computed, signal, computed, effect, batch, observe, cleanup, untracked, track, trigger
+} from './core/reactive.js';
 import VelocityPWA from './core/pwa.js';
 import VelocitySEO from './core/seo.js';
 import VelocityWorkers from './core/workers.js';
 
+// Wrapper element around page and nested component output
+const CHILD_TAG = 'velocity-component';
+
+// Store ids must stay unique even for stores created in the same millisecond
+let storeCount = 0;
+const createStoreId = () => `store_${(++storeCount).toString(36)}_${Date.now().toString(36)}`;
+
 export class VelocityJS {
     constructor(options = {}) {
         this.version = '2.0.0';
         this.options = {
             debug: true,
             historyMode: true,
+            // Unknown paths render a 404 instead of their nearest parent route
+            strictRouting: false,
             enableCache: true,
             enableOffline: true,
             logLevel: 'info',
@@ -30,17 +53,11 @@ export class VelocityJS {
         this.router = new VelocityRouter(this.options, this.logger);
         this.storage = new VelocityStorage(this.logger);
         this.network = new VelocityNetwork(this.logger);
+        this.queries = new VelocityQueryClient(this.logger, this.options.query);
+        this.auth = new VelocityAuth(this.network, this.storage, this.logger, this.options.auth);
+        this.uploads = new VelocityUploads(this.network, this.storage, this.logger, this.options.uploads);
         this.utils = new VelocityUtils(this.logger);
         
-        // PWA and Modern Features
-        this.pwa = new VelocityPWA({
-            appName: this.options.appName || 'VelocityJS App',
-            enableOffline: this.options.enableOffline,
-            enablePushNotifications: this.options.enablePushNotifications || false,
-            enableBackgroundSync: this.options.enableBackgroundSync !== false,
-            ...this.options.pwa
-        });
-        
         this.seoEngine = new VelocitySEO({
             siteName: this.options.siteName || 'VelocityJS App',
             defaultTitle: this.options.defaultTitle || 'VelocityJS Application',
@@ -48,20 +65,36 @@ export class VelocityJS {
             ...this.options.seo
         });
         
-        this.workers = new VelocityWorkers({
-            maxWorkers: this.options.maxWorkers || navigator.hardwareConcurrency || 4,
-            ...this.options.workers
-        });
+        // PWA and Modern Features (browser only, skipped when rendering on the server)
+        this.pwa = null;
+        this.workers = null;
+        
+        if (isBrowser) {
+            this.pwa = new VelocityPWA({
+                appName: this.options.appName || 'VelocityJS App',
+                enableOffline: this.options.enableOffline,
+                enablePushNotifications: this.options.enablePushNotifications || false,
+                enableBackgroundSync: this.options.enableBackgroundSync !== false,
+                outbox: this.network.outbox,
+                ...this.options.pwa
+            });
+            
+            this.workers = new VelocityWorkers({
+                maxWorkers: this.options.maxWorkers || navigator.hardwareConcurrency || 4,
+                ...this.options.workers
+            });
+        }
 
         // NEW: Enhanced features
         this.plugins = new Map();
         this.components = new Map();
         this.middlewares = [];
         this.hooks = new Map();
-        this.state = new VelocityState(this.logger);
+        this.state = new VelocityState(this.logger, this.storage);
         this.head = new VelocityHead(this.logger);
         this.errorBoundary = new VelocityErrorBoundary(this.logger);
-        this.devTools = new VelocityDevTools(this.logger, this.options.debug);
+        this.styles = new VelocityStyles(this.logger);
+        this.devTools = new VelocityDevTools(this.logger, this.options.debug, this);
         
         // Component lifecycle
         this.lifecycle = {
@@ -90,11 +123,21 @@ export class VelocityJS {
         this.i18n = new VelocityI18n(this.logger);
         
         // SEO utilities
-        this.seo = new VelocitySEO(this.head, this.logger);
+        this.seo = isBrowser ? new VelocitySEO(this.head, this.logger) : null;
+        
+        // Server-side rendering
+        this.ssr = new VelocitySSR(this);
 
         this.initialized = false;
         this.mountedComponents = new Set();
         
+        // Page instances rendered by the router, bound to their element after the route change
+        this.pendingPages = [];
+        this.pageComponents = new Set();
+        this.router.on('route:change', () => {
+            this.mountPages().catch(error => this.logger.error('Page mount failed:', error));
+        });
+        
         this.logger.info(`VelocityJS v${this.version} created`, this.options);
     }
 
@@ -135,8 +178,14 @@ export class VelocityJS {
                 this.devTools.init();
             }
             
+            // Restore server-rendered state before the first route runs
+            const hydration = this.ssr.readPayload();
+            if (hydration) {
+                this.state.hydrate(hydration.state);
+            }
+            
             // Initialize router
-            await this.router.init();
+            await this.router.init({ hydration });
             
             // Emit initialized event
             this.events.emit('velocity:initialized', this);
@@ -234,34 +283,37 @@ export class VelocityJS {
     /**
      * Component System
      */
+    /**
+     * Register a component definition; function definitions are stored as `{ render }`
+     * Returns an unmounted instance, every mount creates its own
+     */
     component(name, definition) {
         if (typeof definition === 'function') {
             definition = { render: definition };
         }
         
-        const component = new VelocityComponent(name, definition, this);
-        this.components.set(name, component);
+        this.components.set(name, definition);
         
         this.logger.info(`Component registered: ${name}`);
-        return component;
+        return this.createComponent(name);
     }
 
     /**
      * Create component instance
      */
     createComponent(name, props = {}) {
-        const ComponentClass = this.components.get(name);
-        if (!ComponentClass) {
+        const definition = this.components.get(name);
+        if (!definition) {
             throw new Error(`Component not found: ${name}`);
         }
         
-        return new ComponentClass(props);
+        return new VelocityComponent(name, definition, this, props);
     }
 
     /**
      * Mount component to DOM
      */
-    async mountComponent(name, target, props = {}) {
+    async mountComponent(name, target, props = {}, options = {}) {
         try {
             const component = this.createComponent(name, props);
             const element = typeof target === 'string' ? document.querySelector(target) : target;
@@ -270,21 +322,47 @@ export class VelocityJS {
                 throw new Error(`Mount target not found: ${target}`);
             }
             
+            // Custom element hosting this component, see defineElement()
+            component.host = options.host || null;
+            
+            if (component.styles && element instanceof Element) {
+                element.setAttribute(SCOPE_ATTRIBUTE, this.styles.scopeId(name));
+            }
+            
             // Run lifecycle hooks
-            await this.runLifecycleHooks('beforeMount', component);
+            await component.runHook('beforeMount');
             
             // Render component
             const rendered = await component.render(props);
-            if (typeof rendered === 'string') {
-                element.innerHTML = rendered;
-            } else if (rendered instanceof HTMLElement) {
-                element.appendChild(rendered);
+            if (options.hydrate) {
+                // Keep the server-rendered DOM, only verify it in debug mode
+                if (this.options.debug && !(rendered instanceof Node) && !markupMatches(element, rendered)) {
+                    this.logger.warn(`Hydration mismatch in component: ${name}`, {
+                        server: element.innerHTML,
+                        client: String(rendered)
+                    });
+                }
+                // Event and property bindings still have to be attached
+                if (rendered instanceof TemplateResult) {
+                    patch(element, rendered, { host: component });
+                }
+            } else {
+                patch(element, rendered, { host: component });
             }
             
+            component.element = element;
+            component.isMounted = true;
+            component.updateRefs();
+            this.styles.acquire(component);
+            this.mountedComponents.add(component);
+            
+            // Children are mounted before their parent
+            await component.attachChildren();
+            
             // Run mounted hooks
-            await this.runLifecycleHooks('mounted', component);
+            await component.runHook('mounted');
+            this.devTools.updatePanel();
             
-            this.mountedComponents.add(component);
             this.logger.info(`Component mounted: ${name}`);
             
             return component;
@@ -295,11 +373,129 @@ export class VelocityJS {
         }
     }
 
+    /**
+     * Bind rendered pages to their wrapper elements so setState re-renders them
+     * Pages whose markup left the DOM are destroyed, unless a keepAlive route holds it
+     */
+    async mountPages() {
+        const pending = this.pendingPages.reverse();
+        this.pendingPages = [];
+        
+        for (const page of this.pageComponents) {
+            if (page.element?.isConnected || this.isKeptAlive(page.element)) continue;
+            this.pageComponents.delete(page);
+            await page.destroy();
+        }
+        
+        const mountedElements = new Set([...this.pageComponents].map(page => page.element));
+        const wrappers = Array.from(document.querySelectorAll(`${CHILD_TAG}[data-key^="page:"]`))
+            .filter(wrapper => !mountedElements.has(wrapper));
+        
+        // Latest render first; pages whose markup was not inserted find no element
+        for (const page of pending) {
+            const index = wrappers.findIndex(wrapper => wrapper.getAttribute('data-key') === page.key);
+            if (index === -1) {
+                await page.destroy();
+                continue;
+            }
+            
+            page.element = wrappers.splice(index, 1)[0];
+            page.isMounted = true;
+            page.updateRefs();
+            this.mountedComponents.add(page);
+            this.pageComponents.add(page);
+            
+            await page.attachChildren();
+            await page.runHook('mounted');
+        }
+        
+        this.devTools.updatePanel();
+    }
+
+    isKeptAlive(element) {
+        return Boolean(element) && [...this.router.keepAliveCache.values()].some(kept => kept.fragment.contains(element));
+    }
+
+    /**
+     * Attach a component to server-rendered markup without re-rendering it
+     */
+    async hydrateComponent(name, target, props = {}) {
+        return this.mountComponent(name, target, props, { hydrate: true });
+    }
+
+    /**
+     * Destroy a mounted component and clear its element
+     */
+    async unmountComponent(component) {
+        await component.destroy();
+        this.devTools.updatePanel();
+        return this;
+    }
+
+    /**
+     * Register a custom element backed by a component
+     * app.defineElement('user-card', 'UserCard', { shadow: true, observedProps: ['userId'] })
+     */
+    defineElement(tagName, componentName, options = {}) {
+        if (!isBrowser || !window.customElements) {
+            this.logger.warn(`Custom elements not supported, skipping: ${tagName}`);
+            return null;
+        }
+        
+        if (!this.components.has(componentName)) {
+            throw new Error(`Component not found: ${componentName}`);
+        }
+        
+        const existing = customElements.get(tagName);
+        if (existing) {
+            this.logger.warn(`Custom element already defined: ${tagName}`);
+            return existing;
+        }
+        
+        const ElementClass = createComponentElement(this, componentName, options);
+        customElements.define(tagName, ElementClass);
+        
+        this.logger.info(`Custom element defined: <${tagName}> -> ${componentName}`);
+        return ElementClass;
+    }
+
+    /**
+     * Parent/child tree of live component instances
+     */
+    getComponentTree() {
+        const describe = (component) => ({
+            name: component.name,
+            key: component.key,
+            props: component.props,
+            state: component.state,
+            mounted: component.isMounted,
+            children: Array.from(component.children.values()).map(describe)
+        });
+
+        return Array.from(this.mountedComponents)
+            .filter(component => !component.parent)
+            .map(describe);
+    }
+
     /**
      * State Management System
      */
-    createStore(initialState = {}) {
-        return this.state.createStore(initialState);
+    createStore(initialState = {}, options = null) {
+        const store = this.state.createStore(initialState, options);
+        this.devTools.trackStore(store);
+        return store;
+    }
+
+    /**
+     * Server state: cached, deduplicated queries revalidated when stale
+     * query(key, fetcher, { staleTime, cacheTime, refetchOnFocus, refetchOnReconnect })
+     */
+    query(key, fetcher, options = {}) {
+        return this.queries.query(key, fetcher, options);
+    }
+
+    mutate(mutationFn, variables, options = {}) {
+        return this.queries.mutate(mutationFn, variables, options);
     }
 
     /**
@@ -377,7 +573,7 @@ export class VelocityJS {
                 
                 // Update head tags
                 if (options.head) {
-                    this.head.update(options.head, context);
+                    (context.head || this.head).update(options.head, context);
                 }
                 
                 // Update SEO
@@ -385,8 +581,17 @@ export class VelocityJS {
                     this.seo.update(options.seo, context);
                 }
                 
-                // Render page
-                return await pageComponent.render();
+                // Server renders are one-off; in the browser the page is mounted once the router inserted it
+                if (!context.isServer) {
+                    await pageComponent.runHook('beforeMount');
+                    this.styles.acquire(pageComponent);
+                    this.pendingPages.push(pageComponent);
+                }
+                
+                // The wrapper element, keyed by route, becomes the page's element
+                pageComponent.key = `page:${context.route?.path ?? path}`;
+                pageComponent.collectedStyles = context.collectedStyles || null;
+                return renderComponentWrapper(pageComponent, await pageComponent.render());
                 
             } catch (error) {
                 return this.errorBoundary.handlePageError(error, context);
@@ -410,6 +615,13 @@ export class VelocityJS {
         return this;
     }
 
+    /**
+     * Server-side rendering
+     */
+    async renderToString(url, options = {}) {
+        return this.ssr.renderToString(url, options);
+    }
+
     /**
      * Head Management
      */
@@ -457,6 +669,13 @@ export class VelocityJS {
         return this.router.redirect(path, replace);
     }
 
+    /**
+     * Run a route action with form data; loaders are invalidated and the current route re-rendered
+     */
+    submit(path, formData, options = {}) {
+        return this.router.submit(path, formData, options);
+    }
+
     back() {
         history.back();
     }
@@ -527,6 +746,22 @@ export class VelocityJS {
                 this.navigate(link.pathname + link.search);
             }
         });
+        
+        // POST forms whose action URL has a route action are submitted through the router
+        document.addEventListener('submit', (event) => {
+            const form = event.target;
+            if (!(form instanceof HTMLFormElement) || form.target || form.method.toLowerCase() !== 'post') return;
+            
+            const url = new URL(form.action, window.location.href);
+            if (url.origin !== window.location.origin || !this.router.matchRoute(url.pathname)?.config.action) return;
+            
+            event.preventDefault();
+            const formData = new FormData(form);
+            if (event.submitter?.name) {
+                formData.append(event.submitter.name, event.submitter.value);
+            }
+            this.submit(url.pathname + url.search, formData).catch(() => {});
+        });
     }
 
     /**
@@ -686,13 +921,15 @@ export class VelocityJS {
     /**
      * Clean up
      */
-    destroy() {
-        // Cleanup mounted components
-        for (const component of this.mountedComponents) {
-            if (component.destroy) {
-                component.destroy();
+    async destroy() {
+        // Cleanup mounted components; children are destroyed by their parent
+        for (const component of [...this.mountedComponents]) {
+            if (!component.parent) {
+                await component.destroy();
             }
         }
+        this.pendingPages = [];
+        this.pageComponents.clear();
         
         // Cleanup plugins
         for (const [name, { plugin }] of this.plugins) {
@@ -704,6 +941,8 @@ export class VelocityJS {
         // Clear caches
         this.router.clearCache?.();
         this.network.clearCache();
+        this.network.closeConnections();
+        this.queries.destroy();
         this.storage.clear?.();
         
         this.logger.info('VelocityJS destroyed');
@@ -722,27 +961,100 @@ export class VelocityJS {
 /**
  * Enhanced State Management
  */
+const STORE_OPTION_KEYS = ['mutations', 'actions', 'getters', 'modules', 'strict', 'plugins', 'persist'];
+
+function isStoreOptions(value) {
+    return value !== null && typeof value === 'object' && 'state' in value &&
+        STORE_OPTION_KEYS.some(key => key in value);
+}
+
 class VelocityState {
-    constructor(logger) {
+    constructor(logger, storage = null) {
         this.logger = logger;
+        this.storage = storage;
         this.stores = new Map();
+        // One signal per global key, so readers only re-run when their keys change
         this.globalState = new Map();
         this.listeners = new Map();
+        this.hydrationSnapshot = null;
     }
 
-    createStore(initialState = {}) {
-        const store = new VelocityStore(initialState, this.logger);
+    /**
+     * createStore(initialState, options) or Vuex-style createStore({ state, mutations, actions, getters, modules, strict })
+     * `options.persist` ({ key, storage, paths, version, migrate }) keeps the store in VelocityStorage
+     */
+    createStore(initialState = {}, options = null) {
+        if (!options && isStoreOptions(initialState)) {
+            options = initialState;
+            initialState = typeof options.state === 'function' ? options.state() : options.state;
+        }
+        
+        const store = new VelocityStore(initialState || {}, this.logger, options || {});
+        
+        // Stores created after hydration pick up their server state by creation order
+        const hydratedState = this.hydrationSnapshot?.stores?.[this.stores.size];
+        if (hydratedState) {
+            store.replaceState(hydratedState);
+        }
+        
+        if (options?.persist) {
+            if (!this.storage) {
+                throw new Error('[VelocityStore] persist requires VelocityStorage');
+            }
+            store.persistence = new VelocityStorePersistence(store, this.storage, options.persist, this.logger);
+        }
+        
         this.stores.set(store.id, store);
         return store;
     }
 
-    get(key) {
+    /**
+     * Serialize global and store state for the SSR payload
+     */
+    serialize() {
+        return {
+            global: Object.fromEntries(Array.from(this.globalState, ([key, state]) => [key, state.peek()])),
+            stores: Array.from(this.stores.values(), store => store.rawState)
+        };
+    }
+
+    /**
+     * Restore state serialized by the server
+     */
+    hydrate(snapshot = {}) {
+        this.hydrationSnapshot = snapshot;
+        
+        Object.entries(snapshot.global || {}).forEach(([key, value]) => {
+            this.signal(key).value = value;
+        });
+        
+        Array.from(this.stores.values()).forEach((store, index) => {
+            if (snapshot.stores?.[index]) {
+                store.replaceState(snapshot.stores[index]);
+            }
+        });
+        
+        this.logger.debug('State hydrated from server payload');
+    }
+
+    /**
+     * Signal backing a global key, created on first use
+     */
+    signal(key) {
+        if (!this.globalState.has(key)) {
+            this.globalState.set(key, signal(undefined));
+        }
         return this.globalState.get(key);
     }
 
+    get(key) {
+        return this.signal(key).value;
+    }
+
     set(key, value) {
-        const oldValue = this.globalState.get(key);
-        this.globalState.set(key, value);
+        const state = this.signal(key);
+        const oldValue = state.peek();
+        state.value = value;
         
         // Notify listeners
         const listeners = this.listeners.get(key) || [];
@@ -766,34 +1078,294 @@ class VelocityState {
 }
 
 class VelocityStore {
-    constructor(initialState, logger) {
-        this.id = Date.now().toString(36);
-        this.state = { ...initialState };
+    constructor(initialState, logger, options = {}) {
+        this.id = createStoreId();
         this.logger = logger;
+        this.strict = options.strict || false;
+        this.committing = false;
         this.mutations = new Map();
         this.actions = new Map();
-        this.getters = new Map();
+        this.computedGetters = new Map();
+        this.getters = {};
+        this.modules = new Map();
         this.listeners = [];
+        this.actionListeners = [];
+        this.writeListeners = [];
+        // Type of the mutation whose handler is running
+        this.activeMutation = null;
+        
+        // Writes outside commit() throw in strict mode
+        this.reactive = createReactive({
+            beforeWrite: (target, key) => {
+                this.assertCommitting();
+                if (this.activeMutation !== null) {
+                    this.writeListeners.forEach(listener => listener(target, key, this.activeMutation));
+                }
+            }
+        });
+        this.setRootState({ ...initialState });
+        
+        this.registerHandlers([], options);
+        Object.entries(options.modules || {}).forEach(([name, module]) => {
+            this.registerModule(name, module);
+        });
+        
+        // Plugins are functions receiving the store, e.g. createHistory()
+        (options.plugins || []).forEach(plugin => plugin(this));
+    }
+
+    get state() {
+        track(this, 'state');
+        return this.stateProxy;
+    }
+
+    set state(newState) {
+        if (this.strict) {
+            throw new Error('[VelocityStore] Use replaceState() instead of assigning store.state');
+        }
+        this.replaceState(newState);
+    }
+
+    assertCommitting() {
+        if (this.strict && !this.committing) {
+            throw new Error('[VelocityStore] Do not mutate store state outside mutation handlers');
+        }
+    }
+
+    setRootState(rawState) {
+        this.rawState = rawState;
+        this.stateProxy = this.reactive(rawState);
+        // Getters, effects and components tracked the previous state objects
+        trigger(this, 'state');
+    }
+
+    /**
+     * Run `fn` with state writes allowed
+     */
+    withCommit(fn) {
+        const committing = this.committing;
+        this.committing = true;
+        try {
+            return fn();
+        } finally {
+            this.committing = committing;
+        }
     }
 
     commit(mutation, payload) {
         const mutationFn = this.mutations.get(mutation);
-        if (mutationFn) {
-            const oldState = { ...this.state };
-            mutationFn(this.state, payload);
-            this.notify(oldState);
+        if (!mutationFn) {
+            this.logger.error(`Unknown mutation: ${mutation}`);
+            return;
         }
+        
+        // Effects depending on the changed values run once, after the mutation
+        const oldState = { ...this.rawState };
+        const activeMutation = this.activeMutation;
+        this.activeMutation = mutation;
+        try {
+            batch(() => this.withCommit(() => mutationFn(this.state, payload)));
+        } finally {
+            this.activeMutation = activeMutation;
+        }
+        this.notify(oldState, { type: mutation, payload });
     }
 
+    /**
+     * Run an action; always resolves to a Promise
+     */
     dispatch(action, payload) {
         const actionFn = this.actions.get(action);
-        if (actionFn) {
-            return actionFn({
-                commit: this.commit.bind(this),
-                state: this.state,
-                getters: this.getters
-            }, payload);
+        if (!actionFn) {
+            this.logger.error(`Unknown action: ${action}`);
+            return Promise.resolve();
+        }
+        
+        const info = { type: action, payload };
+        this.actionListeners.forEach(listener => listener.before?.(info, this.state));
+        
+        let result;
+        try {
+            result = Promise.resolve(actionFn(this.createContext([]), payload));
+        } catch (error) {
+            result = Promise.reject(error);
         }
+        
+        if (this.actionListeners.length > 0) {
+            const listeners = [...this.actionListeners];
+            result.then(
+                () => listeners.forEach(listener => listener.after?.(info, this.state)),
+                error => listeners.forEach(listener => listener.error?.(info, this.state, error))
+            );
+        }
+        
+        return result;
+    }
+
+    replaceState(newState) {
+        const oldState = this.rawState;
+        this.withCommit(() => this.setRootState({ ...newState }));
+        this.notify(oldState, { type: 'replaceState', payload: newState });
+    }
+
+    /**
+     * Add a module at `path` ('cart' or ['shop', 'cart']) with its own state, mutations, actions and getters
+     * Namespaced modules prefix their types: commit('cart/addItem')
+     */
+    registerModule(path, module) {
+        const modulePath = Array.isArray(path) ? path : String(path).split('/');
+        const key = modulePath.join('/');
+        
+        if (this.modules.has(key)) {
+            throw new Error(`[VelocityStore] Module already registered: ${key}`);
+        }
+        
+        const moduleState = typeof module.state === 'function' ? module.state() : { ...module.state };
+        const parentState = this.getNestedState(modulePath.slice(0, -1));
+        this.withCommit(() => {
+            parentState[modulePath[modulePath.length - 1]] = moduleState;
+        });
+        
+        this.modules.set(key, { module, namespace: this.getNamespace(modulePath, module) });
+        this.registerHandlers(modulePath, module);
+        
+        Object.entries(module.modules || {}).forEach(([name, child]) => {
+            this.registerModule([...modulePath, name], child);
+        });
+        
+        return this;
+    }
+
+    unregisterModule(path) {
+        const modulePath = Array.isArray(path) ? path : String(path).split('/');
+        const key = modulePath.join('/');
+        const entry = this.modules.get(key);
+        if (!entry) return this;
+        
+        // Nested modules first
+        Array.from(this.modules.keys())
+            .filter(name => name.startsWith(`${key}/`))
+            .forEach(name => this.unregisterModule(name));
+        
+        const { module, namespace } = entry;
+        Object.keys(module.mutations || {}).forEach(type => this.mutations.delete(namespace + type));
+        Object.keys(module.actions || {}).forEach(type => this.actions.delete(namespace + type));
+        Object.keys(module.getters || {}).forEach(type => {
+            this.computedGetters.get(namespace + type)?.dispose();
+            this.computedGetters.delete(namespace + type);
+            delete this.getters[namespace + type];
+        });
+        
+        this.modules.delete(key);
+        const parentState = this.getNestedState(modulePath.slice(0, -1));
+        this.withCommit(() => {
+            delete parentState[modulePath[modulePath.length - 1]];
+        });
+        
+        return this;
+    }
+
+    hasModule(path) {
+        return this.modules.has(Array.isArray(path) ? path.join('/') : path);
+    }
+
+    /**
+     * Register a cached getter; it recomputes only when state or getters it read change
+     */
+    defineGetter(type, getterFn) {
+        const computed = new Computed(getterFn);
+        this.computedGetters.set(type, computed);
+        
+        Object.defineProperty(this.getters, type, {
+            get: () => computed.get(),
+            enumerable: true,
+            configurable: true
+        });
+    }
+
+    registerHandlers(modulePath, module) {
+        const namespace = this.getNamespace(modulePath, module);
+        
+        Object.entries(module.mutations || {}).forEach(([type, handler]) => {
+            this.mutations.set(namespace + type, (state, payload) => {
+                handler.call(this, this.getNestedState(modulePath), payload);
+            });
+        });
+        
+        Object.entries(module.actions || {}).forEach(([type, handler]) => {
+            this.actions.set(namespace + type, (context, payload) => {
+                return handler.call(this, this.createContext(modulePath, namespace), payload);
+            });
+        });
+        
+        Object.entries(module.getters || {}).forEach(([type, getterFn]) => {
+            const localGetters = this.getLocalGetters(namespace);
+            this.defineGetter(namespace + type, () => getterFn(
+                this.getNestedState(modulePath),
+                localGetters,
+                this.state,
+                this.getters
+            ));
+        });
+    }
+
+    /**
+     * Action context; commit/dispatch are local to the module unless { root: true }
+     */
+    createContext(modulePath, namespace = '') {
+        return {
+            state: this.getNestedState(modulePath),
+            getters: this.getLocalGetters(namespace),
+            rootState: this.state,
+            rootGetters: this.getters,
+            commit: (type, payload, options = {}) => {
+                return this.commit(options.root ? type : namespace + type, payload);
+            },
+            dispatch: (type, payload, options = {}) => {
+                return this.dispatch(options.root ? type : namespace + type, payload);
+            }
+        };
+    }
+
+    getLocalGetters(namespace) {
+        if (!namespace) return this.getters;
+        
+        return new Proxy({}, {
+            get: (target, type) => this.getters[namespace + String(type)],
+            has: (target, type) => (namespace + String(type)) in this.getters
+        });
+    }
+
+    getNestedState(modulePath) {
+        return modulePath.reduce((state, key) => state[key], this.state);
+    }
+
+    getNamespace(modulePath, module) {
+        return modulePath.reduce((namespace, segment, index) => {
+            const entry = index === modulePath.length - 1
+                ? module
+                : this.modules.get(modulePath.slice(0, index + 1).join('/'))?.module;
+            return entry?.namespaced ? `${namespace}${segment}/` : namespace;
+        }, '');
+    }
+
+    /**
+     * Call `callback(value, oldValue)` only when the value returned by `getter` changes
+     * Unlike subscribe(), it is not run for commits that do not affect what `getter` reads
+     */
+    watch(getter, callback) {
+        let initialized = false;
+        let oldValue;
+
+        return effect(() => {
+            const value = getter(this.state, this.getters);
+            if (initialized && !Object.is(value, oldValue)) {
+                const previous = oldValue;
+                untracked(() => callback(value, previous));
+            }
+            oldValue = value;
+            initialized = true;
+        });
     }
 
     subscribe(callback) {
@@ -806,8 +1378,35 @@ class VelocityStore {
         };
     }
 
-    notify(oldState) {
-        this.listeners.forEach(listener => listener(this.state, oldState));
+    /**
+     * Observe dispatches: a function runs before each action, or pass { before, after, error }
+     */
+    subscribeAction(callback) {
+        const listener = typeof callback === 'function' ? { before: callback } : callback;
+        this.actionListeners.push(listener);
+        return () => {
+            const index = this.actionListeners.indexOf(listener);
+            if (index > -1) {
+                this.actionListeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Called with (target, key, mutationType) before a mutation handler writes to the state
+     */
+    subscribeWrites(callback) {
+        this.writeListeners.push(callback);
+        return () => {
+            const index = this.writeListeners.indexOf(callback);
+            if (index > -1) {
+                this.writeListeners.splice(index, 1);
+            }
+        };
+    }
+
+    notify(oldState, mutation = null) {
+        this.listeners.forEach(listener => listener(this.state, oldState, mutation));
     }
 }
 
@@ -847,7 +1446,9 @@ class VelocityHead {
 
     setTitle(title, context = {}) {
         this.tags.title = typeof title === 'function' ? title(context) : title;
-        document.title = this.tags.title;
+        if (isBrowser) {
+            document.title = this.tags.title;
+        }
     }
 
     setMeta(name, content, context = {}) {
@@ -861,6 +1462,8 @@ class VelocityHead {
     }
 
     updateDOM() {
+        if (!isBrowser) return;
+        
         // Update meta tags
         for (const [name, content] of this.tags.meta) {
             let metaTag = document.querySelector(`meta[name="${name}"]`);
@@ -888,56 +1491,376 @@ class VelocityHead {
         let html = '';
         
         if (this.tags.title) {
-            html += `<title>${this.tags.title}</title>\n`;
+            html += `<title>${escapeHtml(this.tags.title)}</title>\n`;
         }
 
         for (const [name, content] of this.tags.meta) {
-            html += `<meta name="${name}" content="${content}">\n`;
+            html += `<meta name="${escapeHtml(name)}" content="${escapeHtml(content)}">\n`;
         }
 
         for (const [rel, href] of this.tags.link) {
-            html += `<link rel="${rel}" href="${href}">\n`;
+            html += `<link rel="${escapeHtml(rel)}" href="${escapeHtml(href)}">\n`;
         }
 
         return html;
     }
+
+    /**
+     * Independent copy seeded with the current tags, e.g. for a single server render
+     */
+    fork() {
+        const head = new VelocityHead(this.logger);
+        head.tags = {
+            title: this.tags.title,
+            meta: new Map(this.tags.meta),
+            link: new Map(this.tags.link),
+            script: new Map(this.tags.script)
+        };
+        return head;
+    }
 }
 
 /**
  * Component System
  */
 class VelocityComponent {
-    constructor(name, definition, app) {
+    constructor(name, definition, app, props = {}) {
+        // A definition's `render` is its template; render() itself stays the rendering pipeline
+        const { render, ...members } = definition;
+        Object.assign(this, members);
+        if (render && !members.template) {
+            this.template = render;
+        }
+        
         this.name = name;
         this.app = app;
-        this.props = {};
-        this.state = {};
-        this.mounted = false;
+        this.props = { ...props };
+        this.state = this.createInitialState(definition.state);
+        this.refs = {};
+        this.isMounted = false;
+        this.isDestroyed = false;
+        this.element = null;
+        this.pendingUpdate = null;
+        
+        this.host = null;
+        this.styleRoot = null;
+        // Server render collecting the styles of every component it renders
+        this.collectedStyles = null;
         
-        Object.assign(this, definition);
+        // Signals, global state and store state read while rendering schedule an update when they change
+        this.renderObserver = {
+            sources: new Set(),
+            notify: () => {
+                if (this.isMounted) {
+                    this.scheduleUpdate();
+                }
+            }
+        };
+        
+        // Component tree
+        this.parent = null;
+        this.key = null;
+        this.children = new Map();
+        this.slots = {};
+        this.renderedChildren = [];
+        this.childCounts = new Map();
+        
+        // Query hash -> unsubscribe, kept until the component is destroyed
+        this.querySubscriptions = new Map();
+    }
+
+    /**
+     * State from the definition, copied so instances never share it
+     * `state` may also be a function returning a fresh object
+     */
+    createInitialState(state) {
+        if (typeof state === 'function') {
+            return { ...state.call(this, this.props) };
+        }
+
+        try {
+            return structuredClone(state || {});
+        } catch (error) {
+            return { ...state };
+        }
     }
 
     async render(props = {}) {
         this.props = { ...this.props, ...props };
+        this.renderedChildren = [];
+        this.childCounts = new Map();
+        this.app.styles.collect(this, this.collectedStyles);
         
         if (this.beforeRender) {
             await this.beforeRender();
         }
         
-        const result = await this.template(this.props, this.state);
+        // Reads before the template's first `await` are tracked
+        let result = await observe(this.renderObserver, () => this.template(this.props, this.state));
+        result = await this.renderChildren(result);
         
         if (this.afterRender) {
             await this.afterRender();
         }
         
+        if (result instanceof TemplateResult && !result.host) {
+            result.host = this;
+        }
+        
         return result;
     }
 
+    /**
+     * Render a nested component: ${this.child('Card', { title }, { header: html`...` })}
+     * Instances are reused across renders by name and `props.key` (or position)
+     */
+    child(name, props = {}, slots = {}) {
+        const count = this.childCounts.get(name) || 0;
+        this.childCounts.set(name, count + 1);
+
+        const key = `${name}:${props.key ?? count}`;
+        let component = this.children.get(key);
+
+        if (!component) {
+            component = this.app.createComponent(name, props);
+            component.parent = this;
+            component.key = key;
+            component.collectedStyles = this.collectedStyles;
+            this.children.set(key, component);
+        }
+
+        component.slots = this.normalizeSlots(slots);
+
+        const ref = new VelocityComponentRef(component, props, this.renderedChildren.length);
+        this.renderedChildren.push(ref);
+        return ref;
+    }
+
+    /**
+     * Content passed by the parent for a named slot, or the fallback
+     */
+    slot(name = 'default', fallback = '') {
+        return this.slots[name] ?? fallback;
+    }
+
+    hasSlot(name = 'default') {
+        return this.slots[name] !== undefined && this.slots[name] !== null;
+    }
+
+    normalizeSlots(slots) {
+        const isContent = slots instanceof TemplateResult || typeof slots === 'string' || Array.isArray(slots);
+        const normalized = isContent ? { default: slots } : { ...slots };
+
+        // Handlers inside slot content belong to the component that wrote it
+        Object.values(normalized).forEach(content => {
+            if (content instanceof TemplateResult && !content.host) {
+                content.host = this;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Render children requested by the template, parents' before* hooks run first
+     */
+    async renderChildren(result) {
+        for (const ref of this.renderedChildren) {
+            const child = ref.component;
+            await child.runHook(child.isMounted ? 'beforeUpdate' : 'beforeMount');
+            ref.rendered = await child.render(ref.props);
+        }
+
+        // Plain string templates embed children through placeholders
+        if (typeof result === 'string' && this.renderedChildren.length > 0) {
+            result = result.replace(/<!--velocity-child:(\d+)-->/g, (match, index) => {
+                return String(this.renderedChildren[index].toTemplate());
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * After the DOM is patched: bind children to their elements, run their hooks, drop unused ones
+     */
+    async attachChildren() {
+        const wrappers = this.ownedElements(CHILD_TAG);
+        const active = new Set();
+
+        for (const ref of this.renderedChildren) {
+            const child = ref.component;
+            const element = wrappers.find(wrapper => wrapper.getAttribute('data-key') === child.key);
+            active.add(child);
+            if (!element) continue;
+
+            const firstMount = !child.isMounted;
+            child.element = element;
+            child.isMounted = true;
+            child.updateRefs();
+            this.app.styles.acquire(child);
+            this.app.mountedComponents.add(child);
+
+            await child.attachChildren();
+            await child.runHook(firstMount ? 'mounted' : 'updated');
+        }
+
+        for (const [key, child] of this.children) {
+            if (!active.has(child)) {
+                this.children.delete(key);
+                await child.destroy();
+            }
+        }
+    }
+
+    /**
+     * Elements inside this component that do not belong to a nested component
+     */
+    ownedElements(selector) {
+        if (!this.element) return [];
+
+        return Array.from(this.element.querySelectorAll(selector)).filter(element => {
+            const owner = element.parentElement?.closest(CHILD_TAG);
+            return !owner || owner === this.element || !this.element.contains(owner);
+        });
+    }
+
     setState(newState) {
         this.state = { ...this.state, ...newState };
-        if (this.mounted && this.onStateChange) {
+        if (this.isMounted && this.onStateChange) {
             this.onStateChange(this.state);
         }
+        if (this.isMounted) {
+            return this.scheduleUpdate();
+        }
+    }
+
+    setProps(newProps) {
+        this.props = { ...this.props, ...newProps };
+        if (this.isMounted) {
+            return this.scheduleUpdate();
+        }
+    }
+
+    /**
+     * Dispatch a DOM CustomEvent from the component (or its custom element host)
+     */
+    emit(eventName, detail = null) {
+        const target = this.host || this.element;
+        if (!target) return false;
+
+        return target.dispatchEvent(new CustomEvent(eventName, {
+            detail,
+            bubbles: true,
+            composed: true,
+            cancelable: true
+        }));
+    }
+
+    /**
+     * Query bound to this component: fetched on first use, kept in the cache while mounted
+     * Reading its data, status or error while rendering re-renders the component when they change
+     */
+    query(key, fetcher, options = {}) {
+        const queries = this.app.queries;
+        const query = untracked(() => queries.ensure(key, fetcher, options));
+
+        if (!this.querySubscriptions.has(query.hash)) {
+            this.querySubscriptions.set(query.hash, query.subscribe(() => {}));
+            untracked(() => query.revalidate());
+        }
+
+        return query;
+    }
+
+    /**
+     * Batch re-renders: all setState calls in the same tick share one update
+     */
+    scheduleUpdate() {
+        if (!this.pendingUpdate) {
+            this.pendingUpdate = Promise.resolve().then(() => {
+                this.pendingUpdate = null;
+                return this.update();
+            });
+        }
+        return this.pendingUpdate;
+    }
+
+    /**
+     * Re-render and patch the result into the mounted element
+     */
+    async update() {
+        if (!this.isMounted || !this.element) return;
+
+        try {
+            await this.runHook('beforeUpdate');
+
+            const rendered = await this.render();
+            patch(this.element, rendered, { host: this });
+            this.updateRefs();
+            await this.attachChildren();
+
+            await this.runHook('updated');
+        } catch (error) {
+            this.app.logger.error(`Component update failed: ${this.name}`, error);
+        }
+    }
+
+    /**
+     * Tear down the instance: hooks, DOM and tracking
+     */
+    async destroy() {
+        if (this.isDestroyed) return;
+
+        await this.runHook('beforeDestroy');
+
+        for (const child of this.children.values()) {
+            await child.destroy();
+        }
+        this.children.clear();
+        this.parent?.children.delete(this.key);
+
+        this.isMounted = false;
+        this.isDestroyed = true;
+        this.pendingUpdate = null;
+        cleanup(this.renderObserver);
+        this.querySubscriptions.forEach(unsubscribe => unsubscribe());
+        this.querySubscriptions.clear();
+        this.app.styles.release(this);
+        if (!this.parent && this.element instanceof Element) {
+            this.element.removeAttribute(SCOPE_ATTRIBUTE);
+        }
+        this.element?.replaceChildren();
+        this.element = null;
+        this.refs = {};
+        this.app.mountedComponents.delete(this);
+
+        await this.runHook('destroyed');
+    }
+
+    /**
+     * Run app-wide lifecycle hooks, then the definition's own hook
+     */
+    async runHook(phase) {
+        await this.app.runLifecycleHooks(phase, this);
+
+        if (typeof this[phase] === 'function') {
+            try {
+                await this[phase]();
+            } catch (error) {
+                this.app.logger.error(`Component hook error (${phase}): ${this.name}`, error);
+            }
+        }
+    }
+
+    /**
+     * Collect elements marked with data-ref="name"
+     */
+    updateRefs() {
+        this.refs = {};
+        this.ownedElements('[data-ref]').forEach(element => {
+            this.refs[element.dataset.ref] = element;
+        });
     }
 
     template() {
@@ -945,6 +1868,42 @@ class VelocityComponent {
     }
 }
 
+/**
+ * Wrapper element around a component's output, carrying its key and style scope
+ */
+function renderComponentWrapper(component, rendered) {
+    const { key, name } = component;
+    const content = rendered instanceof TemplateResult ? rendered : unsafeHTML(rendered ?? '');
+    const attributes = [
+        key !== null ? `data-key="${escapeHtml(key)}"` : '',
+        `data-component="${escapeHtml(name)}"`,
+        component.styles ? `${SCOPE_ATTRIBUTE}="${component.app.styles.scopeId(name)}"` : ''
+    ].filter(Boolean).join(' ');
+
+    return html`<${unsafeHTML(CHILD_TAG)} ${unsafeHTML(attributes)} style="display: contents">${content}</${unsafeHTML(CHILD_TAG)}>`;
+}
+
+/**
+ * Placeholder for a nested component inside a parent template
+ */
+class VelocityComponentRef {
+    constructor(component, props, index) {
+        this.component = component;
+        this.props = props;
+        this.index = index;
+        this.rendered = null;
+    }
+
+    toTemplate() {
+        return renderComponentWrapper(this.component, this.rendered);
+    }
+
+    // Resolved by renderChildren() once the child has rendered
+    toString() {
+        return `<!--velocity-child:${this.index}-->`;
+    }
+}
+
 /**
  * Error Boundary
  */
@@ -1099,23 +2058,41 @@ class VelocityI18n {
  * Development Tools
  */
 class VelocityDevTools {
-    constructor(logger, enabled = false) {
+    constructor(logger, enabled = false, app = null) {
         this.logger = logger;
         this.enabled = enabled;
+        this.app = app;
         this.panel = null;
+        this.timeTravel = new VelocityTimeTravel(logger);
+        this.timeTravel.subscribe(() => this.updatePanel());
     }
 
     init() {
         if (this.enabled) {
+            this.recordStores();
             this.createDevPanel();
         }
     }
 
     enable() {
         this.enabled = true;
+        this.recordStores();
         this.createDevPanel();
     }
 
+    /**
+     * Record commits and dispatches of a store in the time-travel log
+     */
+    trackStore(store) {
+        if (this.enabled && isBrowser) {
+            this.timeTravel.attach(store);
+        }
+    }
+
+    recordStores() {
+        this.app?.state.stores.forEach(store => this.trackStore(store));
+    }
+
     createDevPanel() {
         // Create a simple dev panel
         this.panel = document.createElement('div');
@@ -1143,10 +2120,107 @@ class VelocityDevTools {
                 <strong>VelocityJS DevTools</strong><br>
                 Version: ${VelocityJS.prototype.version || '2.0.0'}<br>
                 <button onclick="console.log(window.velocity.getStats())">Log Stats</button>
+                <button data-devtools-action="components">Log Components</button>
+                <pre style="margin: 6px 0 0; max-height: 200px; overflow: auto;">${this.renderComponentTree()}</pre>
+                ${this.renderStoreLog()}
             `;
+            
+            const actions = {
+                components: () => console.log(this.getComponentTree()),
+                back: () => this.timeTravel.stepBack(),
+                forward: () => this.timeTravel.stepForward(),
+                replay: () => this.timeTravel.replay(),
+                export: () => this.exportSession(),
+                import: () => this.panel.querySelector('[data-devtools-input="import"]').click()
+            };
+            
+            this.panel.querySelectorAll('[data-devtools-action]').forEach(button => {
+                button.addEventListener('click', actions[button.dataset.devtoolsAction]);
+            });
+            
+            this.panel.querySelectorAll('[data-devtools-entry]').forEach(line => {
+                line.addEventListener('click', () => this.timeTravel.travelTo(Number(line.dataset.devtoolsEntry)));
+            });
+            
+            this.panel.querySelector('[data-devtools-input="import"]')
+                .addEventListener('change', event => this.importSession(event.target.files[0]));
         }
     }
 
+    /**
+     * Commit/dispatch log with step, replay and session export/import controls
+     */
+    renderStoreLog() {
+        const { entries, cursor } = this.timeTravel;
+        
+        const lines = entries.slice(-20).map(entry => {
+            const index = entries.indexOf(entry);
+            const label = entry.kind === 'action' ? `dispatch ${entry.type} (${entry.status})` : `commit ${entry.type}`;
+            const changes = entry.diff.map(change => change.path || '(root)').join(', ');
+            
+            return `<div data-devtools-entry="${index}" style="cursor: pointer;${index === cursor ? ' color: #4fc3f7;' : ''}${index > cursor ? ' opacity: 0.5;' : ''}">` +
+                `${index === cursor ? '&#9656;' : '&nbsp;'} ${escapeHtml(label)}${changes ? ` <small>${escapeHtml(changes)}</small>` : ''}</div>`;
+        });
+        
+        return `
+            <div style="margin-top: 6px;">
+                Store log: ${cursor + 1}/${entries.length}
+                <button data-devtools-action="back" title="Step back">&#9664;</button>
+                <button data-devtools-action="forward" title="Step forward">&#9654;</button>
+                <button data-devtools-action="replay">Replay</button>
+                <button data-devtools-action="export">Export</button>
+                <button data-devtools-action="import">Import</button>
+                <input type="file" accept="application/json" data-devtools-input="import" hidden>
+            </div>
+            <div style="margin-top: 4px; max-height: 200px; overflow: auto; font-family: monospace;">${lines.join('') || 'No commits recorded'}</div>
+        `;
+    }
+
+    /**
+     * Download the recorded session as JSON
+     */
+    exportSession() {
+        const json = this.timeTravel.exportSession();
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `velocity-session-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        return json;
+    }
+
+    async importSession(file) {
+        if (!file) return;
+        
+        try {
+            this.timeTravel.importSession(await file.text());
+            this.logger.info(`Imported store session: ${file.name}`);
+        } catch (error) {
+            this.logger.error('Failed to import store session', error);
+        }
+    }
+
+    getComponentTree() {
+        return this.app ? this.app.getComponentTree() : [];
+    }
+
+    /**
+     * Indented text outline of the component tree
+     */
+    renderComponentTree() {
+        const lines = [];
+        const walk = (nodes, depth) => {
+            nodes.forEach(node => {
+                lines.push(`${'  '.repeat(depth)}${escapeHtml(node.name)}${node.key ? ` (${escapeHtml(node.key)})` : ''}`);
+                walk(node.children, depth + 1);
+            });
+        };
+
+        walk(this.getComponentTree(), 0);
+        return lines.join('\n') || 'No components mounted';
+    }
+
     render() {
         return this.enabled ? `<script>window.velocity = arguments[0];</script>` : '';
     }
@@ -1156,4 +2230,16 @@ class VelocityDevTools {
 export default VelocityJS;
 
 // Also export factory function
-export const createApp = (options) => new VelocityJS(options);
\ No newline at end of file
+export const createApp = (options) => new VelocityJS(options);
+
+// Tagged templates for escaped markup and event/property bindings
+export { html, unsafeHTML, TemplateResult };
+
+// Signals: fine-grained reactive values
+export { signal, computed, effect, batch, untracked };
+
+// Store plugins
+export { createHistory };
+
+// Returned by navigate() when a navigation is cancelled, blocked or redirected
+export { NavigationFailure };
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../src/velocity.js';
+
+function createQueryApp() {
+    const app = createApp({ debug: false });
+    app.logger.enableConsole = false;
+    return app;
+}
+
+test('a key seeded with setQueryData fetches once query() brings a fetcher', async () => {
+    const app = createQueryApp();
+    let calls = 0;
+    const fetcher = async () => {
+        calls++;
+        return ['from server'];
+    };
+
+    app.queries.setQueryData('todos', ['seeded']);
+    assert.deepEqual(app.queries.getQueryData('todos'), ['seeded']);
+
+    const data = await app.queries.fetchQuery('todos', fetcher);
+    assert.equal(calls, 1);
+    assert.deepEqual(data, ['from server']);
+
+    await app.queries.invalidate('todos');
+    assert.equal(calls, 2);
+
+    app.destroy();
+});
+
+test('invalidate keeps seeded data while no fetcher is known', async () => {
+    const app = createQueryApp();
+
+    app.queries.setQueryData(['todos', 1], { id: 1 });
+    await app.queries.invalidate('todos');
+    assert.deepEqual(app.queries.getQueryData(['todos', 1]), { id: 1 });
+
+    app.destroy();
+});
+
+test('an optimistic mutation on a new key leaves the key fetchable', async () => {
+    const app = createQueryApp();
+    let calls = 0;
+
+    await app.mutate(async () => ({ id: 2 }), { id: 2 }, {
+        optimistic: { key: ['todo', 2], update: (data, variables) => variables }
+    });
+    assert.deepEqual(app.queries.getQueryData(['todo', 2]), { id: 2 });
+
+    const query = app.query(['todo', 2], async () => {
+        calls++;
+        return { id: 2, done: true };
+    });
+    // query() revalidates the stale optimistic data in the background
+    assert.ok(query.isFetching);
+    await query.promise;
+    assert.equal(calls, 1);
+    assert.deepEqual(query.data, { id: 2, done: true });
+
+    app.destroy();
+});
@@ -0,0 +1,160 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createApp } from '../src/velocity.js';
+
+const requests = [];
+let server;
+let origin;
+
+/**
+ * Local event stream server: /events drops the first connection after two events
+ */
+before(async () => {
+    let connections = 0;
+
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+
+        if (req.url === '/events') {
+            connections++;
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            if (connections === 1) {
+                res.write('retry: 10\nid: 1\ndata: {"n":1}\n\n');
+                res.write('event: price\nid: 2\ndata: 42\n\n');
+                setTimeout(() => res.socket.destroy(), 20);
+            } else {
+                res.write(': ping\n\nid: 3\ndata: {"n":3}\n\n');
+            }
+            return;
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+}));
+
+function createAuthedApp(baseURL) {
+    const app = createApp({ debug: false });
+    app.logger.enableConsole = false;
+    app.network.config.baseURL = baseURL;
+    app.auth.setTokens({ accessToken: 'T0K' });
+    return app;
+}
+
+/**
+ * Poll until `check()` is truthy, failing after `timeout` ms
+ */
+async function waitFor(check, timeout = 2000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Records the URL it was opened with and opens on the next tick
+ */
+class FakeWebSocket {
+    static instances = [];
+
+    constructor(url, protocols) {
+        this.url = url;
+        this.protocols = protocols;
+        this.readyState = 0;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+        setTimeout(() => {
+            this.readyState = 1;
+            this.onopen?.();
+        });
+    }
+
+    send(data) {
+        this.sent.push(data);
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+}
+
+test('streams server-sent events and resumes with Last-Event-ID', async () => {
+    const app = createAuthedApp(origin);
+    const stream = app.network.stream('/events', { json: true });
+    const received = [];
+    stream.on('message', event => received.push(event.data));
+    stream.on('price', event => received.push(`price:${event.data}`));
+
+    await waitFor(() => received.length === 3);
+    stream.close();
+
+    assert.deepEqual(received, [{ n: 1 }, 'price:42', { n: 3 }]);
+    const streamRequests = requests.filter(request => request.url === '/events');
+    assert.equal(streamRequests.length, 2);
+    assert.equal(streamRequests[0].headers.authorization, 'Bearer T0K');
+    assert.equal(streamRequests[1].headers['last-event-id'], '2');
+    assert.equal(stream.status, 'closed');
+    assert.equal(app.network.connections.size, 0);
+});
+
+test('closes a stream for good on 404', async () => {
+    const app = createAuthedApp(origin);
+    const stream = app.network.stream('/missing');
+    const errors = [];
+    stream.on('error', error => errors.push(error.status));
+
+    await waitFor(() => stream.status === 'closed');
+
+    assert.deepEqual(errors, [404]);
+    assert.equal(stream.status, 'closed');
+});
+
+test('sends the token only to the app origin', () => {
+    const app = createAuthedApp(origin);
+    const port = server.address().port;
+
+    assert.equal(app.auth.matches(`${origin}/api`), true);
+    assert.equal(app.auth.matches(`ws://127.0.0.1:${port}/ws`), true);
+    assert.equal(app.auth.matches('/relative'), true);
+    assert.equal(app.auth.matches('wss://chat.example.com/ws'), false);
+    assert.equal(app.auth.matches('https://api.example.com/data'), false);
+    assert.equal(app.auth.matches(`http://127.0.0.1:${port + 1}/api`), false);
+});
+
+test('opens sockets on the base URL with the token as a query parameter', async () => {
+    const app = createAuthedApp(origin);
+    const socket = app.network.socket('/ws', { WebSocket: FakeWebSocket, heartbeat: null });
+    socket.send('queued');
+
+    await waitFor(() => socket.status === 'open');
+    const instance = FakeWebSocket.instances.at(-1);
+    socket.close();
+
+    assert.equal(instance.url, `ws://127.0.0.1:${server.address().port}/ws?access_token=T0K`);
+    assert.deepEqual(instance.sent, ['queued']);
+});
+
+test('opens absolute ws URLs of other hosts as given and without the token', async () => {
+    const app = createAuthedApp(origin);
+
+    assert.equal(app.network.buildUrl('wss://chat.example.com/ws'), 'wss://chat.example.com/ws');
+
+    const socket = app.network.socket('wss://chat.example.com/ws', { WebSocket: FakeWebSocket, heartbeat: null });
+    await waitFor(() => socket.status === 'open');
+    const instance = FakeWebSocket.instances.at(-1);
+    socket.close();
+
+    assert.equal(instance.url, 'wss://chat.example.com/ws');
+});
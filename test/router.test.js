@@ -0,0 +1,359 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp, html } from '../src/velocity.js';
+
+function createRouterApp(options = {}) {
+    const app = createApp({ debug: false, ...options });
+    app.logger.enableConsole = false;
+    return app;
+}
+
+/**
+ * Todo list route whose loader and action share an in-memory store
+ */
+function createTodoApp() {
+    const app = createRouterApp();
+    const todos = ['write tests'];
+    const loads = [];
+
+    app.route('/todos', (context) => `<ul>${context.data.map(todo => `<li>${todo}</li>`).join('')}</ul>`, {
+        loader: async (context) => {
+            loads.push(context.fullPath);
+            return [...todos];
+        },
+        action: async (context, formData) => {
+            if (!formData.get('title')) {
+                throw Object.assign(new Error('Title is required'), { status: 422 });
+            }
+            todos.push(formData.get('title'));
+            return { added: formData.get('title') };
+        },
+        errorBoundary: (error) => `<p role="alert">${error.message}</p>`
+    });
+
+    return { app, todos, loads };
+}
+
+test('renders loader data into the handler and the hydration payload', async () => {
+    const { app } = createTodoApp();
+    const result = await app.renderToString('/todos');
+
+    assert.equal(result.status, 200);
+    assert.equal(result.html, '<ul><li>write tests</li></ul>');
+    assert.deepEqual(result.payload.loaderData, { '/todos': ['write tests'] });
+});
+
+test('renders the error boundary with the status of a failing loader', async () => {
+    const app = createRouterApp();
+    app.route('/missing', () => '<p>never</p>', {
+        loader: async () => {
+            throw Object.assign(new Error('Not here'), { status: 404 });
+        },
+        errorBoundary: (error) => `<p>${error.message}</p>`
+    });
+    app.route('/broken', () => '<p>never</p>', {
+        loader: async () => {
+            throw new Error('No boundary');
+        }
+    });
+
+    const missing = await app.renderToString('/missing');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.html, '<p>Not here</p>');
+
+    const broken = await app.renderToString('/broken');
+    assert.equal(broken.status, 500);
+    assert.match(broken.html, /No boundary/);
+});
+
+test('submit runs the action and the next render sees its changes', async () => {
+    const { app } = createTodoApp();
+    const formData = new FormData();
+    formData.set('title', 'ship it');
+
+    assert.deepEqual(await app.router.submit('/todos', formData), { added: 'ship it' });
+
+    const result = await app.renderToString('/todos');
+    assert.equal(result.html, '<ul><li>write tests</li><li>ship it</li></ul>');
+});
+
+test('a failing action rejects and leaves the data unchanged', async () => {
+    const { app, todos } = createTodoApp();
+
+    await assert.rejects(app.router.submit('/todos', new FormData()), { message: 'Title is required', status: 422 });
+    await assert.rejects(app.router.submit('/nope', new FormData()), /No action for route/);
+    assert.deepEqual(todos, ['write tests']);
+});
+
+test('cached loader results are reused until an action invalidates them', async () => {
+    const { app, loads } = createTodoApp();
+    const route = app.router.matchRoute('/todos');
+    const load = () => app.router.loadRouteData(route.config, app.router.createRouteContext(route, '/todos'));
+
+    await load();
+    await load();
+    assert.equal(loads.length, 1);
+
+    const formData = new FormData();
+    formData.set('title', 'ship it');
+    await app.router.submit('/todos', formData);
+
+    assert.deepEqual(await load(), { '/todos': ['write tests', 'ship it'] });
+    assert.equal(loads.length, 2);
+
+    // Server renders never read the cache
+    await app.renderToString('/todos');
+    await app.renderToString('/todos');
+    assert.equal(loads.length, 4);
+});
+
+test('ranks static segments over typed params over plain params', async () => {
+    const app = createRouterApp();
+    const show = (name) => (context) => `${name} ${JSON.stringify(context.params)}`;
+
+    // Registered least specific first; ranking must not depend on the order
+    app.route('/users/[id]', show('user'));
+    app.route('/users/[id:number]', show('numbered'));
+    app.route('/users/new', show('new'));
+
+    assert.equal((await app.renderToString('/users/new')).html, 'new {}');
+    assert.equal((await app.renderToString('/users/42')).html, 'numbered {"id":42}');
+    assert.equal((await app.renderToString('/users/bob')).html, 'user {"id":"bob"}');
+});
+
+test('strictRouting renders 404 instead of falling back to a prefix route', async () => {
+    const loose = createRouterApp();
+    const strict = createRouterApp({ strictRouting: true });
+    [loose, strict].forEach(app => app.route('/users', () => '<h1>Users</h1>'));
+
+    const fallback = await loose.renderToString('/users/1/edit');
+    assert.equal(fallback.status, 200);
+    assert.equal(fallback.html, '<h1>Users</h1>');
+
+    assert.equal((await strict.renderToString('/users/1/edit')).status, 404);
+});
+
+test('groups in custom param types do not shift the following params', async () => {
+    const app = createRouterApp();
+    app.router.addParamType('version', { pattern: /v(\d+)\.(?<minor>\d+)/ });
+    app.route('/api/[version:version]/[resource]', (context) => JSON.stringify(context.params));
+
+    const result = await app.renderToString('/api/v1.2/users');
+    assert.equal(result.html, '{"version":"v1.2","resource":"users"}');
+});
+
+/**
+ * /users > /users/[id:number] > /users/[id:number]/posts, with boundaries on the first two levels
+ */
+function createNestedApp() {
+    const app = createRouterApp();
+    const outlet = (parent, content) => `<velocity-outlet data-parent="${parent}" style="display: contents">${content}</velocity-outlet>`;
+
+    app.route('/users', (context) => `<nav>${context.data.length} users</nav><velocity-outlet></velocity-outlet>`, {
+        loader: async () => ['ada', 'bob'],
+        errorBoundary: (error) => `<p>users: ${error.message}</p>`,
+        children: [
+            { path: '', handler: () => '<p>Pick a user</p>' },
+            {
+                path: '[id:number]',
+                handler: (context) => `<h2>${context.data.name}</h2><velocity-outlet></velocity-outlet>`,
+                loader: async (context) => {
+                    if (context.params.id === 404) {
+                        throw Object.assign(new Error('No such user'), { status: 404 });
+                    }
+                    return { name: `User ${context.params.id}` };
+                },
+                errorBoundary: (error) => `<p>user: ${error.message}</p>`,
+                children: [{
+                    path: 'posts',
+                    handler: (context) => `<ul>${context.data.join('')}</ul>`,
+                    loader: async (context) => {
+                        if (context.params.id === 500) {
+                            throw new Error('Posts unavailable');
+                        }
+                        return ['<li>First post</li>'];
+                    }
+                }]
+            },
+            {
+                path: 'team',
+                handler: () => '<p>Team</p>',
+                loader: async () => {
+                    throw new Error('Team unavailable');
+                }
+            }
+        ]
+    });
+
+    return { app, outlet };
+}
+
+test('renders each level of a nested route into its parent outlet', async () => {
+    const { app, outlet } = createNestedApp();
+
+    const index = await app.renderToString('/users');
+    assert.equal(index.html, `<nav>2 users</nav>${outlet('/users', '<p>Pick a user</p>')}`);
+
+    const posts = await app.renderToString('/users/7/posts');
+    assert.equal(posts.status, 200);
+    assert.equal(posts.html,
+        `<nav>2 users</nav>${outlet('/users', `<h2>User 7</h2>${outlet('/users/[id:number]', '<ul><li>First post</li></ul>')}`)}`);
+    assert.deepEqual(Object.keys(posts.loaderData), ['/users', '/users/[id:number]', '/users/[id:number]/posts']);
+});
+
+test('a failing child loader renders the nearest boundary inside the parent outlet', async () => {
+    const { app, outlet } = createNestedApp();
+
+    // posts has no boundary of its own, so its parent's boundary replaces the user level
+    const posts = await app.renderToString('/users/500/posts');
+    assert.equal(posts.status, 500);
+    assert.equal(posts.html, `<nav>2 users</nav>${outlet('/users', '<p>user: Posts unavailable</p>')}`);
+
+    const user = await app.renderToString('/users/404');
+    assert.equal(user.status, 404);
+    assert.equal(user.html, `<nav>2 users</nav>${outlet('/users', '<p>user: No such user</p>')}`);
+
+    // Only the top level has a boundary above team, so it replaces the whole chain
+    const team = await app.renderToString('/users/team');
+    assert.equal(team.status, 500);
+    assert.equal(team.html, '<p>users: Team unavailable</p>');
+});
+
+test('fills the {{outlet}} marker of template results', async () => {
+    const app = createRouterApp();
+    app.route('/docs', () => html`<main>{{outlet}}</main>`, {
+        children: [{ path: '[page]', handler: (context) => html`<b>${context.params.page}</b>` }]
+    });
+
+    const result = await app.renderToString('/docs/a&b');
+    assert.equal(result.html, '<main><velocity-outlet data-parent="/docs" style="display: contents"><b>a&amp;b</b></velocity-outlet></main>');
+});
+
+test('hooks and guards redirect or block server renders before anything renders', async () => {
+    const app = createRouterApp();
+    const rendered = [];
+    const page = (name) => () => {
+        rendered.push(name);
+        return `<h1>${name}</h1>`;
+    };
+
+    app.route('/', page('home'));
+    app.route('/login', page('login'));
+    app.route('/account', page('account'), { meta: { private: true } });
+    app.route('/account/billing', page('billing'), { guards: [() => false] });
+    app.route('/legacy', page('legacy'));
+    app.router.beforeEach((to) => to.route.meta?.private && !to.cookies.sid
+        ? { path: '/login', query: { next: to.fullPath } }
+        : true);
+    app.router.addGuard('/legacy', () => '/');
+
+    const login = await app.renderToString('/account');
+    assert.equal(login.status, 302);
+    assert.equal(login.redirect, '/login?next=%2Faccount');
+
+    assert.equal((await app.renderToString('/legacy')).redirect, '/');
+    assert.equal((await app.renderToString('/account/billing', { cookies: { sid: '1' } })).status, 403);
+    assert.deepEqual(rendered, []);
+
+    const account = await app.renderToString('/account', { cookies: { sid: '1' } });
+    assert.equal(account.html, '<h1>account</h1>');
+});
+
+test('an aborted navigation stops its checks and does not cache pending loader results', async () => {
+    const app = createRouterApp();
+    const steps = [];
+    let loads = 0;
+
+    app.route('/slow', () => '<p>slow</p>', {
+        loader: () => {
+            loads++;
+            return new Promise(resolve => setTimeout(() => resolve('done'), 20));
+        }
+    });
+    app.router.beforeEach(() => {
+        steps.push('beforeEach');
+        controller.abort();
+    });
+    app.router.beforeResolve(() => {
+        steps.push('beforeResolve');
+    });
+
+    const controller = new AbortController();
+    const route = app.router.matchRoute('/slow');
+    const context = app.router.createRouteContext(route, '/slow', { signal: controller.signal });
+
+    assert.equal(await app.router.runNavigationChecks(route, context), false);
+    assert.deepEqual(steps, ['beforeEach']);
+
+    // The cancelled navigation's loader is still running; the next navigation must not wait for it
+    const cancelled = new AbortController();
+    const pending = app.router.loadRouteData(route.config, app.router.createRouteContext(route, '/slow', { signal: cancelled.signal }));
+    cancelled.abort();
+    await app.router.loadRouteData(route.config, app.router.createRouteContext(route, '/slow'));
+    await pending;
+    assert.equal(loads, 2);
+});
+
+test('blockers and beforeLeave of the levels being left decide whether a navigation may leave', async () => {
+    const questions = [];
+    let answer = false;
+    const app = createRouterApp({
+        confirmNavigation: async (message) => {
+            questions.push(message);
+            return answer;
+        }
+    });
+    let dirty = true;
+    const parentLeaves = [];
+
+    app.route('/settings', () => '<velocity-outlet></velocity-outlet>', {
+        beforeLeave: (to) => {
+            parentLeaves.push(to.path);
+            return true;
+        },
+        children: [
+            { path: 'profile', handler: () => '<form></form>', beforeLeave: () => !dirty || 'Discard your changes?' },
+            { path: 'privacy', handler: () => '<p>privacy</p>' }
+        ]
+    });
+    app.route('/', () => '<h1>Home</h1>');
+
+    const at = (path) => {
+        const route = app.router.matchRoute(path);
+        return { ...app.router.createRouteContext(route, path), config: route.config };
+    };
+    const profile = at('/settings/profile');
+
+    assert.equal(await app.router.canLeave(at('/'), profile), false);
+    answer = true;
+    assert.equal(await app.router.canLeave(at('/settings/privacy'), profile), true);
+    assert.deepEqual(questions, ['Discard your changes?', 'Discard your changes?']);
+    // The child's answer ends the checks, and moving between children keeps the parent level
+    assert.deepEqual(parentLeaves, []);
+
+    // Blockers run for every navigation, before any beforeLeave
+    dirty = false;
+    const unblock = app.router.block((to) => to?.path !== '/');
+    assert.equal(await app.router.canLeave(at('/'), profile), false);
+    assert.equal(await app.router.canLeave(at('/settings/privacy'), profile), true);
+    unblock();
+    assert.equal(await app.router.canLeave(at('/'), profile), true);
+    assert.equal(questions.length, 2);
+    assert.deepEqual(parentLeaves, ['/']);
+});
+
+test('only synchronous answers can allow closing the tab', () => {
+    const app = createRouterApp();
+    app.route('/editor', () => '<textarea></textarea>');
+    const route = app.router.matchRoute('/editor');
+    app.router.currentRoute = { ...app.router.createRouteContext(route, '/editor'), config: route.config };
+
+    assert.equal(app.router.shouldBlockUnload(), false);
+
+    const unblockSync = app.router.block((to) => to === null ? true : 'Leave?');
+    assert.equal(app.router.shouldBlockUnload(), false);
+    unblockSync();
+
+    app.router.block(async () => true);
+    assert.equal(app.router.shouldBlockUnload(), true);
+});
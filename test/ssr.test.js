@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../src/velocity.js';
+
+/**
+ * App with a small set of fixture routes, rendered under plain Node
+ */
+function createFixtureApp() {
+    const app = createApp({ debug: false });
+    app.logger.enableConsole = false;
+
+    app.route('/', () => '<h1>Home</h1>', { title: 'Home', meta: { description: 'Home page' } });
+    app.route('/user/[id]', async (context) => {
+        // Yield so concurrent renders interleave
+        await new Promise(resolve => setTimeout(resolve, 10));
+        context.setMeta({ author: `user-${context.params.id}` });
+        return `<p>User ${context.params.id} ${context.cookies.sid || ''}</p>`;
+    }, { title: (context) => `User ${context.params.id}` });
+    app.component('AboutPage', () => '<h1>About</h1>');
+    app.page('/about', 'AboutPage', { head: { title: 'About us', meta: { description: 'About page' } } });
+    app.route('/admin', () => 'secret');
+    app.router.addGuard('/admin', (context) => {
+        context.redirect('/login');
+        return false;
+    });
+    app.route('/boom', () => {
+        throw new Error('kaboom');
+    });
+    app.route('/xss', () => '<p>Search</p>', { title: (context) => context.query.q, meta: { description: (context) => context.query.q } });
+    app.route('/fail', (context) => {
+        throw new Error(context.query.q);
+    });
+
+    return app;
+}
+
+test('renders a route with its title and meta', async () => {
+    const app = createFixtureApp();
+    const result = await app.renderToString('/');
+
+    assert.equal(result.status, 200);
+    assert.equal(result.html, '<h1>Home</h1>');
+    assert.match(result.head, /<title>Home<\/title>/);
+    assert.match(result.head, /<meta name="description" content="Home page">/);
+    assert.match(result.script, /id="velocity-ssr-data"/);
+});
+
+test('passes params, query, cookies and headers to the handler', async () => {
+    const app = createFixtureApp();
+    const result = await app.renderToString('http://example.com/user/7?tab=posts#top', {
+        headers: { Cookie: 'sid=abc' }
+    });
+
+    assert.equal(result.status, 200);
+    assert.equal(result.url, '/user/7?tab=posts');
+    assert.equal(result.html, '<p>User 7 abc</p>');
+    assert.match(result.head, /<title>User 7<\/title>/);
+    assert.match(result.head, /<meta name="author" content="user-7">/);
+});
+
+test('applies page head options to the rendered head', async () => {
+    const app = createFixtureApp();
+    const result = await app.renderToString('/about');
+
+    assert.equal(result.status, 200);
+    assert.match(result.html, /<h1>About<\/h1>/);
+    assert.match(result.head, /<title>About us<\/title>/);
+    assert.match(result.head, /<meta name="description" content="About page">/);
+});
+
+test('keeps head tags of concurrent renders apart', async () => {
+    const app = createFixtureApp();
+    const [user, home] = await Promise.all([
+        app.renderToString('/user/1'),
+        app.renderToString('/')
+    ]);
+
+    assert.match(user.head, /<title>User 1<\/title>/);
+    assert.match(user.head, /content="user-1"/);
+    assert.doesNotMatch(user.head, /Home/);
+    assert.match(home.head, /<title>Home<\/title>/);
+    assert.doesNotMatch(home.head, /User 1|user-1/);
+
+    // The app-wide head is left untouched
+    assert.equal(app.head.tags.title, '');
+    assert.equal(app.head.tags.meta.size, 0);
+});
+
+test('reports guard redirects without rendering', async () => {
+    const app = createFixtureApp();
+    const result = await app.renderToString('/admin');
+
+    assert.equal(result.status, 302);
+    assert.equal(result.redirect, '/login');
+    assert.equal(result.html, '');
+});
+
+test('renders 500 for throwing handlers and 404 for unknown URLs', async () => {
+    const app = createFixtureApp();
+
+    const failed = await app.renderToString('/boom');
+    assert.equal(failed.status, 500);
+
+    const missing = await app.renderToString('/nope');
+    assert.equal(missing.status, 404);
+    assert.notEqual(missing.html, '');
+});
+
+test('escapes request values in the head and in error pages', async () => {
+    const app = createFixtureApp();
+    const payload = '%3C/title%3E%3Cscript%3Ealert(1)%3C/script%3E';
+
+    const result = await app.renderToString(`/xss?q=${payload}`);
+    assert.ok(!result.head.includes('<script>'));
+    assert.match(result.head, /<title>&lt;\/title&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/title>/);
+    assert.match(result.head, /content="&lt;\/title&gt;/);
+
+    const failed = await app.renderToString(`/fail?q=${payload}`);
+    assert.equal(failed.status, 500);
+    assert.ok(!failed.html.includes('<script>'));
+    assert.match(failed.html, /&lt;script&gt;alert\(1\)/);
+});
+
+test('wraps a render result in a full document', async () => {
+    const app = createFixtureApp();
+    const result = await app.renderToString('/');
+    const html = app.ssr.renderDocument(result);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<div id="app"><h1>Home<\/h1><\/div>/);
+    assert.ok(html.includes(result.script));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scopeCss } from '../src/core/styles.js';
+import { createApp, html } from '../src/velocity.js';
+
+const SCOPE = '[data-velocity-scope="Card"]';
+
+test('scopes rules to the component root and stops at nested components', () => {
+    const css = scopeCss(':scope { padding: 4px } h1, p > a:is(.x, .y) { color: red }', SCOPE);
+
+    assert.equal(css, [
+        `@scope (${SCOPE}) to (velocity-component, [data-velocity-scope]) {`,
+        ':scope { padding: 4px }',
+        ':scope h1, :scope p > a:is(.x, .y) { color: red }',
+        '}',
+        ''
+    ].join('\n'));
+});
+
+test('keeps conditional rules scoped and hoists the rest', () => {
+    const css = scopeCss('@import url(base.css); @media (max-width: 600px) { h1 { margin: 0 } } @keyframes fade { from { opacity: 0 } }', SCOPE);
+
+    assert.ok(css.startsWith('@import url(base.css);\n@keyframes fade { from { opacity: 0 } }\n@scope ('));
+    assert.match(css, /@media \(max-width: 600px\) \{\n:scope h1 \{ margin: 0 \}\n\}/);
+});
+
+test('collects styles per server render', async () => {
+    const app = createApp({ debug: false });
+    app.logger.enableConsole = false;
+
+    app.component('Slow', {
+        styles: '.slow { color: red }',
+        async template() {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            return html`<p class="slow">slow</p>`;
+        }
+    });
+    app.component('Badge', { styles: '.badge { color: blue }', template: () => html`<b class="badge">b</b>` });
+    app.component('Fast', {
+        styles: '.fast { color: green }',
+        template() {
+            return html`<p class="fast">${this.child('Badge')}</p>`;
+        }
+    });
+    app.page('/slow', 'Slow');
+    app.page('/fast', 'Fast');
+
+    const [slow, fast] = await Promise.all([app.renderToString('/slow'), app.renderToString('/fast')]);
+
+    assert.match(slow.head, /data-velocity-style="Slow"/);
+    assert.doesNotMatch(slow.head, /Fast|Badge/);
+    assert.match(fast.head, /data-velocity-style="Fast"/);
+    assert.match(fast.head, /data-velocity-style="Badge"/);
+    assert.doesNotMatch(fast.head, /Slow/);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { html, unsafeHTML } from '../src/core/template.js';
+
+test('escapes text and quoted attribute values', () => {
+    const value = '<img src=x onerror="alert(1)">';
+    const markup = html`<p title="${value}">${value}</p>`.toString();
+
+    assert.equal(markup, '<p title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+});
+
+test('quotes values in unquoted attribute position', () => {
+    const markup = html`<a href=${'/x onmouseover=alert(1)'} class=${null}>link</a>`.toString();
+
+    assert.equal(markup, '<a href="/x onmouseover=alert(1)" class="">link</a>');
+});
+
+test('drops bindings from server markup', () => {
+    const save = () => {};
+    const markup = html`<button @click=${save} .value="${'a'}" title=${'b'}>Save</button>`.toString();
+
+    assert.equal(markup, '<button title="b">Save</button>');
+});
+
+test('treats @ and . as text outside of tags', () => {
+    const markup = html`<p>Mail me @home=${'x'} or see .note=${'<b>'}</p>`.toString();
+
+    assert.equal(markup, '<p>Mail me @home=x or see .note=&lt;b&gt;</p>');
+});
+
+test('ignores markup inside comments and quoted attribute values', () => {
+    const markup = html`<!-- <a .x=${1} --><p data-x="a > .b=${2}">.c=${3}</p>`.toString();
+
+    assert.equal(markup, '<!-- <a .x=1 --><p data-x="a > .b=2">.c=3</p>');
+});
+
+test('renders nested templates, arrays and trusted markup', () => {
+    const items = ['a', '<b>'];
+    const markup = html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>${unsafeHTML('<hr>')}`.toString();
+
+    assert.equal(markup, '<ul><li>a</li><li>&lt;b&gt;</li></ul><hr>');
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createApp } from '../src/velocity.js';
+
+const requests = [];
+const uploads = new Map();
+let server;
+let origin;
+
+/**
+ * Minimal tus server: POST creates an upload, HEAD reports its offset, PATCH appends a chunk
+ */
+before(async () => {
+    server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, offset: req.headers['upload-offset'] });
+
+            if (req.method === 'POST' && req.url === '/files') {
+                const id = String(uploads.size + 1);
+                uploads.set(id, { length: Number(req.headers['upload-length']), data: Buffer.alloc(0) });
+                res.writeHead(201, { 'Location': `/files/${id}`, 'Tus-Resumable': '1.0.0' });
+                res.end();
+                return;
+            }
+
+            const upload = uploads.get(req.url.replace('/files/', ''));
+            if (!upload) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+
+            if (req.method === 'PATCH') {
+                if (Number(req.headers['upload-offset']) !== upload.data.length) {
+                    res.writeHead(409);
+                    res.end();
+                    return;
+                }
+                upload.data = Buffer.concat([upload.data, ...chunks]);
+            }
+
+            res.writeHead(req.method === 'PATCH' ? 204 : 200, {
+                'Upload-Offset': String(upload.data.length),
+                'Upload-Length': String(upload.length),
+                'Tus-Resumable': '1.0.0'
+            });
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+}));
+
+test('a file is uploaded to a tus server in chunks', async () => {
+    const app = createApp({ debug: false });
+    app.logger.enableConsole = false;
+
+    const file = new File(['hello resumable world'], 'greeting.txt', { type: 'text/plain' });
+    const upload = app.uploads.upload(`${origin}/files`, file, { chunkSize: 8, retries: 0 });
+
+    const result = await upload.start();
+    assert.equal(result.location, `${origin}/files/1`);
+    assert.equal(uploads.get('1').data.toString(), 'hello resumable world');
+    assert.deepEqual(requests.map(request => `${request.method} ${request.offset ?? ''}`.trim()), [
+        'POST', 'PATCH 0', 'PATCH 8', 'PATCH 16'
+    ]);
+
+    app.destroy();
+});
+
+test('only GET responses are served from the network cache', async () => {
+    const app = createApp({ debug: false });
+    app.logger.enableConsole = false;
+
+    requests.length = 0;
+    await app.network.request(`${origin}/files/1`, { method: 'HEAD' });
+    await app.network.request(`${origin}/files/1`, { method: 'HEAD' });
+    await app.network.request(`${origin}/files/1`);
+    await app.network.request(`${origin}/files/1`);
+    assert.deepEqual(requests.map(request => request.method), ['HEAD', 'HEAD', 'GET']);
+
+    app.destroy();
+});